@@ -1,11 +1,38 @@
 'use strict'
 
+const os = require('os')
+const path = require('path')
 const util = require('util')
 const Base = require('bfx-facs-base')
 
-const { formatTime } = require('./utils/date-time')
+const { formatTime, formatDuration } = require('./utils/date-time')
+const { MAX_BLOCKS, MAX_TEXT_LENGTH, context: contextBlock, isStructuredMessage, serializeMessage, truncate } = require('./utils/blocks')
+const { LEVELS, isValidLevel, resolveMinLevel, isLevelEnabled } = require('./utils/levels')
+const TokenBucket = require('./utils/token-bucket')
+const { createTransport, CaptureTransport } = require('./transports')
+const { createRedactor } = require('./utils/redact')
+const { resolveErrorFormatOpts, appFrames, formatError } = require('./utils/error')
+const { fingerprint, normalizeMessage } = require('./utils/fingerprint')
+const { EVICTION_POLICIES, BatchStore, LruBatchStore } = require('./utils/batch-store')
+const { SAMPLING_STRATEGIES, addSample, mergeSamples } = require('./utils/sampling')
+const Spool = require('./utils/spool')
+const StormDetector = require('./utils/storm')
+const CronSchedule = require('./utils/cron')
+const { Digest } = require('./utils/digest')
+const { createMuteMatcher, describeMutePattern } = require('./utils/mute')
+const Metrics = require('./utils/metrics')
+const { DEFAULT_TEMPLATES, compile, render } = require('./utils/template')
+const { splitText } = require('./utils/split')
+const { actionsBlock, actionKind, parseErrorKey, parseInteraction, verifySignature, isResponseUrl, replaceBlock } = require('./utils/actions')
+const { postJson, httpError } = require('./utils/http')
+const { resolveRetryOpts, isRetryableError, retry } = require('./utils/retry')
 const { createHash } = require('crypto')
 
+const MAX_TIMER_DELAY = 2 ** 31 - 1
+const AGGREGATION_ROLES = ['forwarder', 'aggregator']
+// errorBatching options that can be overridden per source and per channel
+const BATCHING_OVERRIDES = ['interval', 'maxMessageLength', 'payloads', 'sampling', 'immediate']
+
 class GrcSlack extends Base {
   constructor (caller, opts, ctx) {
     super(caller, opts, ctx)
@@ -16,9 +43,46 @@ class GrcSlack extends Base {
 
     if (opts.conf) this.conf = opts.conf
 
-    if (this.conf.errorBatching && opts.lru) {
-      this._errorBatch = opts.lru
+    this._transport = createTransport(caller, this.conf)
+    this._redactor = this.conf.redact ? createRedactor(this.conf.redact) : null
+    this._templates = this._compileTemplates()
+    this._errorFormat = resolveErrorFormatOpts(this.conf.errorFormat)
+    this._fingerprints = new Map()
+    this._mutes = new Map()
+    this._muteSeq = 0
+    this._statusMessages = new Map()
+    this._metrics = new Metrics()
+    this._retryOpts = resolveRetryOpts(this.conf.retry || { attempts: 1 })
+
+    if (this.conf.levels) {
+      this._validateLevelsConfig()
+    }
+
+    if (this.conf.rateLimit) {
+      this._validateRateLimitConfig()
+      this._rateLimiters = new Map()
+    }
+
+    if (this.conf.escalation) {
+      this._validateEscalationConfig()
+      this._stormDetector = new StormDetector(this.conf.escalation.rules, this.conf.escalation.cooldown || 900000)
+    }
+
+    if (this.conf.dedup) {
+      if (!(this.conf.dedup.window > 0)) {
+        throw new Error('dedup.window is required and must be greater than 0')
+      }
+      this._dedup = new Map()
+    }
+
+    if (this.conf.deadLetter) {
+      this._validateDeadLetterConfig()
+      this._initDeadLetter()
+    }
+
+    if (this.conf.errorBatching) {
       this._validateBatchingConfig()
+      this._errorBatch = this._createBatchStore(opts)
       this._initErrorBatching()
     }
   }
@@ -30,201 +94,2057 @@ class GrcSlack extends Base {
     if (!this.conf.errorBatching.maxMessageLength || this.conf.errorBatching.maxMessageLength <= 0) {
       throw new Error('errorBatching.maxMessageLength is required and must be greater than 0')
     }
+    if (this.conf.errorBatching.maxSize !== undefined && !(this.conf.errorBatching.maxSize > 0)) {
+      throw new Error('errorBatching.maxSize must be greater than 0')
+    }
+    this._validateBatchingOpts(this.conf.errorBatching, 'errorBatching')
+    this._validateBatchingOverrides()
+    const { recovery } = this.conf.errorBatching
+    if (recovery && !(recovery.quietPeriod > 0)) {
+      throw new Error('errorBatching.recovery.quietPeriod is required and must be greater than 0')
+    }
+    if (this.conf.errorBatching.eviction && !EVICTION_POLICIES.includes(this.conf.errorBatching.eviction)) {
+      throw new Error(`errorBatching.eviction must be one of ${EVICTION_POLICIES.join(', ')}`)
+    }
+    const { actions } = this.conf.errorBatching
+    if (actions) {
+      for (const key of ['muteDuration', 'ackTtl', 'maxDetails']) {
+        if (actions[key] !== undefined && !(actions[key] > 0)) {
+          throw new Error(`errorBatching.actions.${key} must be greater than 0`)
+        }
+      }
+      // interactions act on the facility, they are only accepted from slack
+      if (!actions.signingSecret || typeof actions.signingSecret !== 'string') {
+        throw new Error('errorBatching.actions.signingSecret is required')
+      }
+    }
+    const { aggregation } = this.conf.errorBatching
+    if (aggregation) {
+      if (!AGGREGATION_ROLES.includes(aggregation.role)) {
+        throw new Error(`errorBatching.aggregation.role must be one of ${AGGREGATION_ROLES.join(', ')}`)
+      }
+      if (aggregation.role === 'forwarder' && !aggregation.worker) {
+        throw new Error('errorBatching.aggregation.worker is required for forwarders')
+      }
+    }
+    const { digest } = this.conf.errorBatching
+    if (digest) {
+      if (!Array.isArray(digest.sources) || !digest.sources.length) {
+        throw new Error('errorBatching.digest.sources must be a non empty array of source names')
+      }
+      if (digest.topN !== undefined && !(digest.topN > 0)) {
+        throw new Error('errorBatching.digest.topN must be greater than 0')
+      }
+      if (!digest.schedule || typeof digest.schedule !== 'string') {
+        throw new Error('errorBatching.digest.schedule is required')
+      }
+      try {
+        new CronSchedule(digest.schedule).next()
+      } catch (err) {
+        throw new Error(`errorBatching.digest.schedule: ${err.message}`)
+      }
+      // immediate errors would never reach the digest
+      const immediate = digest.sources.find(sourceName => this._batchingOpts(null, sourceName).immediate)
+      if (immediate) {
+        throw new Error(`errorBatching.digest.sources: ${immediate} is sent immediately`)
+      }
+    }
   }
 
-  _initErrorBatching () {
-    this._errorBatchTimer = setInterval(() => {
-      this._processBatchedErrors()
-    }, this.conf.errorBatching.interval)
+  _validateBatchingOpts (opts, name) {
+    for (const key of ['interval', 'maxMessageLength']) {
+      if (opts[key] !== undefined && !(opts[key] > 0)) {
+        throw new Error(`${name}.${key} must be greater than 0`)
+      }
+    }
+    if (opts.payloads !== undefined && !(Number.isInteger(opts.payloads) && opts.payloads > 0)) {
+      throw new Error(`${name}.payloads must be an integer greater than 0`)
+    }
+    if (opts.sampling !== undefined && !SAMPLING_STRATEGIES.includes(opts.sampling)) {
+      throw new Error(`${name}.sampling must be one of ${SAMPLING_STRATEGIES.join(', ')}`)
+    }
+  }
 
-    this._errorBatchTimer.unref()
+  _validateBatchingOverrides () {
+    const { immediate, overrides } = this.conf.errorBatching
+
+    if (immediate !== undefined && !(Array.isArray(immediate) && immediate.every(sourceName => typeof sourceName === 'string'))) {
+      throw new Error('errorBatching.immediate must be an array of source names')
+    }
+    if (overrides === undefined) return
+
+    for (const kind of Object.keys(overrides)) {
+      if (kind !== 'sources' && kind !== 'channels') {
+        throw new Error(`errorBatching.overrides.${kind} is not supported, use sources or channels`)
+      }
+
+      for (const [key, opts] of Object.entries(overrides[kind])) {
+        const name = `errorBatching.overrides.${kind}.${key}`
+        if (!opts || typeof opts !== 'object') {
+          throw new Error(`${name} must be an object`)
+        }
+
+        const unknown = Object.keys(opts).find(opt => !BATCHING_OVERRIDES.includes(opt))
+        if (unknown) {
+          throw new Error(`${name}.${unknown} is not supported, use one of ${BATCHING_OVERRIDES.join(', ')}`)
+        }
+        if (opts.immediate !== undefined && typeof opts.immediate !== 'boolean') {
+          throw new Error(`${name}.immediate must be a boolean`)
+        }
+        this._validateBatchingOpts(opts, name)
+      }
+    }
   }
 
-  async _stop (cb) {
-    if (this._errorBatchTimer) {
-      clearInterval(this._errorBatchTimer)
-      this._errorBatchTimer = null
+  /**
+   * errorBatching options of a channel and source: the global options, then
+   * the channel overrides, then the source overrides
+   * @returns {Object} { interval, maxMessageLength, payloads, sampling, immediate }
+   */
+  _batchingOpts (channel, sourceName) {
+    const { interval, maxMessageLength, payloads = 3, sampling = 'last', immediate = [], overrides = {} } = this.conf.errorBatching
+    const opts = {
+      interval,
+      maxMessageLength,
+      payloads,
+      sampling,
+      immediate: false,
+      ...(overrides.channels && overrides.channels[channel]),
+      ...(overrides.sources && overrides.sources[sourceName])
     }
 
-    try {
-      await this._processBatchedErrors()
-    } catch (err) {
-      console.error('Failed to process final batch of errors during shutdown', err)
-    } finally {
-      super._stop(cb)
+    if (immediate.includes(sourceName)) opts.immediate = true
+    return opts
+  }
+
+  // flush intervals other than errorBatching.interval, each gets its own timer
+  _overrideIntervals () {
+    const { interval, overrides = {} } = this.conf.errorBatching
+    const intervals = new Set()
+
+    for (const kind of ['sources', 'channels']) {
+      for (const opts of Object.values(overrides[kind] || {})) {
+        if (opts.interval && opts.interval !== interval) intervals.add(opts.interval)
+      }
     }
+
+    return Array.from(intervals)
   }
 
-  message (reqChannel, message) {
-    if (!this.conf.enable) return Promise.resolve(false) // Add promise to keep consistency between returns
-    const slack = this.conf
-    const worker = slack.worker || 'rest:ext:slack'
-    const maxLength = slack.max_length || 1024
-    const env = (slack.env) ? `Env: ${slack.env}, ` : ''
-    const rawText = env + message
-    const text = (rawText.length > maxLength) ? rawText.slice(0, maxLength) : rawText
-    const channel = reqChannel || slack.channel
-    const send = [{ channel, text }]
+  /**
+   * The built-in bounded store is used unless a bfx-facs-lru facility (opts.lru)
+   * or a custom store implementing the BatchStore interface (opts.batchStore) is passed
+   */
+  _createBatchStore (opts) {
+    if (opts.batchStore) return opts.batchStore
+    if (opts.lru) return new LruBatchStore(opts.lru)
 
-    return this.caller.grc_bfx.req(
-      worker,
-      'postSlackMsg',
-      send,
-      { timeout: 10000 })
+    const { maxSize, eviction } = this.conf.errorBatching
+    return new BatchStore({ maxSize, eviction })
   }
 
-  logError (reqChannel, err, ...extra) {
-    const error = err instanceof Object ? util.inspect(err, { depth: 10 }) : err
-    const extraP = extra.length
-      ? `Extra: ${util.format(...extra.map(el => typeof el === 'object' ? util.inspect(el, { depth: 10 }) : el))}, `
-      : ''
-    const errTag = err instanceof Error ? '' : 'Error: '
+  _compileTemplates () {
+    const templates = new Map()
+    const sources = { ...DEFAULT_TEMPLATES, ...this.conf.templates }
 
-    return this.message(reqChannel, `${extraP}${errTag}${error}`)
+    for (const [name, source] of Object.entries(sources)) {
+      try {
+        templates.set(name, compile(source))
+      } catch (err) {
+        throw new Error(`templates.${name}: ${err.message}`)
+      }
+    }
+
+    return templates
   }
 
-  _createErrorGroupKey (reqChannel, sourceName) {
-    return `${reqChannel}:${sourceName}`
+  _validateLevelsConfig () {
+    const { minLevel, channels = {}, sources = {} } = this.conf.levels
+    const minLevels = typeof minLevel === 'object' ? Object.values(minLevel) : [minLevel]
+
+    for (const level of minLevels) {
+      if (level !== undefined && !isValidLevel(level)) {
+        throw new Error(`levels.minLevel must be one of ${LEVELS.join(', ')}`)
+      }
+    }
+    for (const level of Object.keys(channels)) {
+      if (!isValidLevel(level)) {
+        throw new Error(`levels.channels contains unknown level ${level}`)
+      }
+    }
+    for (const [sourceName, route] of Object.entries(sources)) {
+      if (typeof route === 'string') continue
+      for (const level of Object.keys(route)) {
+        if (!isValidLevel(level)) {
+          throw new Error(`levels.sources.${sourceName} contains unknown level ${level}`)
+        }
+      }
+    }
   }
 
-  _createErrorKey (reqChannel, err, sourceName = 'unknown') {
-    const errorMsg = err?.message || err?.toString() || 'Unknown error'
-    const hash = createHash('sha1').update(errorMsg).digest('hex')
-    return this._createErrorGroupKey(reqChannel, sourceName) + `:${hash}`
+  _validateRateLimitConfig () {
+    const { rate, burst, maxQueue } = this.conf.rateLimit
+    if (!rate || rate <= 0) {
+      throw new Error('rateLimit.rate is required and must be greater than 0')
+    }
+    if (!burst || burst < 1) {
+      throw new Error('rateLimit.burst is required and must be at least 1')
+    }
+    if (!maxQueue || maxQueue <= 0) {
+      throw new Error('rateLimit.maxQueue is required and must be greater than 0')
+    }
   }
 
-  /**
-   * Batch log error to slack
-   * @param {string} reqChannel - Slack channel to log the error to, if not provided, the channel from the config will be used
-   * @param {Error} err - Error to log
-   * @param {string} sourceName - Source of the error
-   * @param {Object} payload - Payload to log
-   * @param {...any} extra - Additional information to log
-   */
-  async logErrorEnqueue (reqChannel, err, sourceName, payload, ...extra) {
-    if (!this._errorBatch) {
-      console.error('Error batching not initialized, falling back to direct log')
-      return this.logError(reqChannel, err, sourceName, payload, ...extra)
+  _validateEscalationConfig () {
+    const { rules, channel } = this.conf.escalation
+    if (!Array.isArray(rules) || !rules.length) {
+      throw new Error('escalation.rules is required and must be a non empty array')
     }
 
-    if (!reqChannel) {
-      reqChannel = this.conf.channel
+    rules.forEach((rule, idx) => {
+      if (!rule.window || rule.window <= 0) {
+        throw new Error(`escalation.rules[${idx}].window is required and must be greater than 0`)
+      }
+      if (!(rule.threshold > 0) && !(rule.rateFactor > 1)) {
+        throw new Error(`escalation.rules[${idx}] requires a threshold greater than 0 or a rateFactor greater than 1`)
+      }
+      if (!rule.channel && !channel) {
+        throw new Error(`escalation.rules[${idx}] has no channel and escalation.channel is not set`)
+      }
+      if (rule.per !== undefined && rule.per !== 'source' && rule.per !== 'error') {
+        throw new Error(`escalation.rules[${idx}].per must be 'source' or 'error'`)
+      }
+    })
+  }
+
+  _validateDeadLetterConfig () {
+    const { maxSize, interval } = this.conf.deadLetter
+    if (!maxSize || maxSize <= 0) {
+      throw new Error('deadLetter.maxSize is required and must be greater than 0')
+    }
+    if (!interval || interval <= 0) {
+      throw new Error('deadLetter.interval is required and must be greater than 0')
     }
+  }
 
-    try {
-      const errorKey = this._createErrorKey(reqChannel, err, sourceName)
+  _initDeadLetter () {
+    this._deadLetters = []
+    this._deadLetterStats = { queued: 0, redelivered: 0, dropped: 0 }
 
-      const now = new Date()
-      let errorEntry = this._errorBatch.get(errorKey)
-
-      if (!errorEntry) {
-        errorEntry = {
-          errorMessage: err.message,
-          sourceName,
-          reqChannel,
-          payloads: [
-            { payload, extras: extra }
-          ],
-          count: 1,
-          firstSeen: now,
-          lastSeen: now
-        }
-        this._errorBatch.set(errorKey, errorEntry)
-        return
+    this._deadLetterTimer = setInterval(() => {
+      this._drainDeadLetters()
+    }, this.conf.deadLetter.interval)
+
+    this._deadLetterTimer.unref()
+  }
+
+  _initErrorBatching () {
+    if (this.conf.errorBatching.threads) {
+      this._errorThreads = new Map()
+    }
+
+    if (this.conf.errorBatching.recovery) {
+      this._activeErrors = new Map()
+    }
+
+    if (this.conf.errorBatching.actions) {
+      this._acks = new Map()
+      this._reportedErrors = new Map()
+    }
+
+    if (this.conf.errorBatching.aggregation) {
+      const { role, host } = this.conf.errorBatching.aggregation
+      this._aggregation = { role, host: host || os.hostname() }
+    }
+
+    if (this.conf.errorBatching.digest) {
+      this._initDigest()
+    }
+
+    // with interval overrides each timer only flushes the error types of its interval
+    const { interval } = this.conf.errorBatching
+    const overrideIntervals = this._overrideIntervals()
+    const flushInterval = overrideIntervals.length ? interval : undefined
+
+    this._errorBatchTimer = setInterval(() => {
+      this._processBatchedErrors(flushInterval)
+    }, interval)
+
+    this._errorBatchTimer.unref()
+
+    this._overrideBatchTimers = overrideIntervals.map(overrideInterval => {
+      const timer = setInterval(() => {
+        this._processBatchedErrors(overrideInterval)
+      }, overrideInterval)
+      timer.unref()
+      return timer
+    })
+  }
+
+  _initDigest () {
+    const { schedule, sources, channel, topN, maxSize } = this.conf.errorBatching.digest
+
+    this._digest = new Digest({ topN, maxSize, channel })
+    this._digestSources = new Set(sources)
+    this._digestSchedule = new CronSchedule(schedule)
+    this._digestPeriodStart = new Date()
+    this._scheduleDigest()
+  }
+
+  _scheduleDigest () {
+    const next = this._digestSchedule.next().getTime()
+
+    // long delays are capped to the max timer delay, the timer then just reschedules
+    const timer = setTimeout(async () => {
+      if (Date.now() >= next) await this._processDigest()
+      if (this._digestTimer === timer) this._scheduleDigest()
+    }, Math.min(next - Date.now(), MAX_TIMER_DELAY))
+
+    timer.unref()
+    this._digestTimer = timer
+  }
+
+  async _start (cb) {
+    if (this.conf.spool) {
+      try {
+        this._openSpool()
+      } catch (err) {
+        console.error('Failed to open slack spool, continuing without it', err)
+        this._spool = null
       }
+    }
+
+    super._start(cb)
+  }
+
+  _openSpool () {
+    const file = path.resolve(this.caller.ctx.root, this.conf.spool.file || 'grc-slack.spool')
+    this._spool = new Spool(file)
+
+    const { records, skipped } = this._spool.read()
+    if (skipped) {
+      console.error(`Skipped ${skipped} corrupt records in slack spool ${file}`)
+    }
+
+    for (const record of records) {
+      this._replaySpoolRecord(record)
+    }
+
+    this._compactSpool()
+  }
 
-      errorEntry.count++
-      errorEntry.lastSeen = now
-      errorEntry.payloads.push({ payload, extras: extra })
+  _replaySpoolRecord (record) {
+    const { t: type, key, entry } = record
 
-      // Keep only the last 3 payloads
-      if (errorEntry.payloads.length > 3) {
-        errorEntry.payloads.shift()
+    if (type === 'error' && this._errorBatch) {
+      this._addBatchEntry(key, { ...entry, at: new Date(entry.at) })
+    } else if (type === 'batch' && this._errorBatch) {
+      this._errorBatch.set(key, { ...entry, firstSeen: new Date(entry.firstSeen), lastSeen: new Date(entry.lastSeen) })
+    } else if (type === 'digestError' && this._digest) {
+      this._digest.add(key, { ...entry, at: new Date(entry.at) })
+      this._extendDigestPeriod(new Date(entry.at))
+    } else if (type === 'digest' && this._digest) {
+      this._digest.store.set(key, { ...entry, firstSeen: new Date(entry.firstSeen), lastSeen: new Date(entry.lastSeen) })
+      this._extendDigestPeriod(new Date(entry.firstSeen))
+    } else if (type === 'dead' && this._deadLetters) {
+      this._deadLetters.push({ ...entry, failedAt: new Date(entry.failedAt) })
+      // a spool written with a larger maxSize keeps its newest entries
+      if (this._deadLetters.length > this.conf.deadLetter.maxSize) {
+        this._deadLetters.shift()
+        this._deadLetterStats.dropped++
+        this._metrics.inc('dropped')
       }
-    } catch (e) {
-      console.error('Error batching failed, falling back to direct log', e)
-      await this.logError(reqChannel, err, sourceName, payload, ...extra)
     }
   }
 
-  async _processBatchedErrors () {
-    if (!this._errorBatch || this._errorBatch.cache.length === 0) {
-      return
+  // the digest period of replayed entries started before this process
+  _extendDigestPeriod (at) {
+    if (at < this._digestPeriodStart) this._digestPeriodStart = at
+  }
+
+  _appendSpool (record) {
+    if (!this._spool) return
+
+    try {
+      this._spool.append(record)
+    } catch (err) {
+      console.error('Failed to append to slack spool', err)
+    }
+  }
+
+  /**
+   * Rewrite the spool with what is still pending: the current batch and digest
+   * and the dead letter queue, including entries being redelivered
+   */
+  _compactSpool () {
+    if (!this._spool) return
+
+    const records = []
+    if (this._errorBatch) {
+      for (const entry of this._errorBatch.values()) {
+        records.push({ t: 'batch', key: entry.errorKey, entry })
+      }
+    }
+    if (this._digest) {
+      for (const entry of this._digest.store.values()) {
+        records.push({ t: 'digest', key: entry.errorKey, entry })
+      }
+    }
+    for (const entry of (this._deadLettersInFlight || []).concat(this._deadLetters || [])) {
+      records.push({ t: 'dead', entry })
     }
 
     try {
-      const errorGroups = new Map() // group errors by channel and source
+      this._spool.rewrite(records)
+    } catch (err) {
+      console.error('Failed to compact slack spool', err)
+    }
+  }
 
-      const allEntries = Object.values(this._errorBatch.cache.cache || {})
+  async _stop (cb) {
+    this.uninstallProcessHandlers()
 
-      for (const { value: errorEntry } of allEntries) {
-        const groupKey = this._createErrorGroupKey(errorEntry.reqChannel, errorEntry.sourceName)
-        if (!errorGroups.has(groupKey)) {
-          errorGroups.set(groupKey, {
-            errors: [],
-            totalCount: 0,
-            earliestTime: Infinity,
-            latestTime: -Infinity
-          })
-        }
+    for (const mute of this._mutes.values()) {
+      clearTimeout(mute.timer)
+    }
 
-        const group = errorGroups.get(groupKey)
-        group.errors.push(errorEntry)
-        group.totalCount += errorEntry.count
+    if (this._errorBatchTimer) {
+      clearInterval(this._errorBatchTimer)
+      this._errorBatchTimer = null
+    }
 
-        // Track time range
-        const firstTime = errorEntry.firstSeen.getTime()
-        const lastTime = errorEntry.lastSeen.getTime()
-        if (firstTime < group.earliestTime) group.earliestTime = firstTime
-        if (lastTime > group.latestTime) group.latestTime = lastTime
+    if (this._overrideBatchTimers) {
+      this._overrideBatchTimers.forEach(timer => clearInterval(timer))
+      this._overrideBatchTimers = null
+    }
+
+    try {
+      await this._processBatchedErrors()
+    } catch (err) {
+      console.error('Failed to process final batch of errors during shutdown', err)
+    }
+
+    if (this._digestTimer) {
+      clearTimeout(this._digestTimer)
+      this._digestTimer = null
+
+      // with a spool the pending digest is kept for the next start
+      if (!this._spool) {
+        await this._processDigest()
       }
+    }
 
-      for (const { errors, totalCount, earliestTime, latestTime } of errorGroups.values()) {
-        const { reqChannel, sourceName } = errors[0]
-        await this._sendBatchedErrorMessage(reqChannel, sourceName, errors, totalCount, earliestTime, latestTime)
+    if (this._deadLetterTimer) {
+      clearInterval(this._deadLetterTimer)
+      this._deadLetterTimer = null
+    }
+
+    if (this._dedup) {
+      await Promise.all(Array.from(this._dedup.keys()).map(key => this._expireDedup(key)))
+    }
+
+    try {
+      await this._flushRateLimited()
+    } catch (err) {
+      console.error('Failed to flush rate limited messages during shutdown', err)
+    }
+
+    try {
+      await this._drainDeadLetters(true)
+      // with a spool undelivered messages are kept for the next start
+      if (this._spool) {
+        this._compactSpool()
+      } else {
+        this._dropDeadLetters()
       }
-    } catch (e) {
-      console.error('Failed to process batched errors', e)
+    } catch (err) {
+      console.error('Failed to flush dead letter queue during shutdown', err)
     } finally {
-      this._errorBatch.clear()
+      super._stop(cb)
     }
   }
 
-  async _sendBatchedErrorMessage (reqChannel, sourceName, errors, totalErrors, earliestTime, latestTime) {
-    const timeRange = this._formatTimeRange(earliestTime, latestTime)
+  /**
+   * Post a message to slack
+   * @param {string} reqChannel - Slack channel, if not provided, the channel from the config will be used
+   * @param {string|Object} message - Text or structured message
+   * @param {Object} [opts]
+   * @param {string} [opts.threadTs] - Post as a reply to this message ts
+   * @param {boolean} [opts.broadcast] - Also send the thread reply to the channel
+   * @param {string} [opts.sourceName] - Source of the message, used to match mutes
+   * @param {string} [opts.fingerprint] - Error fingerprint, used to match mutes
+   * @param {boolean} [opts.dedup] - Set to false to skip the dedup window
+   */
+  message (reqChannel, message, opts = {}) {
+    if (!this.conf.enable) return Promise.resolve(false) // Add promise to keep consistency between returns
+    const slack = this.conf
+    const worker = slack.worker || 'rest:ext:slack'
+    const channel = reqChannel || slack.channel
+
+    if (this._isMuted({ channel, sourceName: opts.sourceName, fingerprint: opts.fingerprint })) {
+      return Promise.resolve(false)
+    }
 
-    let message = `*Batched Error Report - ${sourceName}*\n`
-    message += `*Summary:* ${totalErrors} errors across ${errors.length} types (${timeRange})\n\n`
+    message = this._redact(message)
 
-    let truncated = false
-    let i = 0
-    for (; i < errors.length; i++) {
-      if (truncated) break
+    if (this._dedup && opts.dedup !== false && !isStructuredMessage(message) && this._isDuplicate(channel, String(message), opts)) {
+      this._metrics.inc('deduplicated', { channel, sourceName: opts.sourceName })
+      return Promise.resolve(false)
+    }
 
-      const error = errors[i]
-      message += `• *${error.errorMessage}* (${error.count}x)\n`
-      message += '  Payloads:\n'
+    if (slack.split && !isStructuredMessage(message)) {
+      const parts = this._splitMessage(String(message))
+      if (parts.length > 1) return this._sendParts(channel, worker, parts, opts)
+    }
 
-      for (const item of error.payloads) {
-        let payloadStr = `    - ${JSON.stringify(item.payload)}\n`
-        if (Array.isArray(item.extras) && item.extras.length) {
-          payloadStr += `     Extras: ${JSON.stringify(item.extras)}\n`
-        }
+    return this._dispatch(channel, worker, [this._buildPayload(channel, message, opts)], { sourceName: opts.sourceName })
+  }
 
-        if (message.length + payloadStr.length > this.conf.errorBatching.maxMessageLength) {
-          truncated = true
-          break
-        }
+  /**
+   * Post a message rendered from a named template, see utils/template
+   * @param {string} reqChannel
+   * @param {string} name - Template name from conf.templates
+   * @param {Object} [vars]
+   * @param {Object} [opts] - Same as message
+   */
+  async messageTemplate (reqChannel, name, vars, opts) {
+    return this.message(reqChannel, this._renderTemplate(name, vars), opts)
+  }
 
-        message += payloadStr
-      }
-    }
+  /**
+   * Replace the content of a message posted by the facility. Updates are not
+   * rate limited, split or deduplicated and are never dead lettered
+   * @param {string} reqChannel
+   * @param {string} ts - Message ts, as returned by message()
+   * @param {string|Object} message - Text or structured message
+   */
+  update (reqChannel, ts, message) {
+    if (!this.conf.enable) return Promise.resolve(false)
+    const channel = reqChannel || this.conf.channel
 
-    if (truncated) {
-      message += `\n... message truncated (${errors.length - i} more error types)`
-    }
+    const payload = { ...this._buildPayload(channel, this._redact(message)), ts }
+    return this._edit('update', payload)
+  }
 
-    await this.logError(reqChannel, message)
+  /**
+   * Delete a message posted by the facility
+   * @param {string} reqChannel
+   * @param {string} ts - Message ts, as returned by message()
+   */
+  delete (reqChannel, ts) {
+    if (!this.conf.enable) return Promise.resolve(false)
+    const channel = reqChannel || this.conf.channel
+
+    return this._edit('delete', { channel, ts })
+  }
+
+  async _edit (method, payload) {
+    if (typeof this._transport[method] !== 'function') {
+      const type = (this.conf.transport && this.conf.transport.type) || 'grenache'
+      throw new Error(`${method} is not supported by the ${type} transport`)
+    }
+
+    const worker = this.conf.worker || 'rest:ext:slack'
+    const labels = { channel: payload.channel }
+
+    return retry((attempt) => {
+      if (attempt > 1) this._metrics.inc('retried', labels)
+      return this._transport[method](payload, worker)
+    }, this._retryOpts)
+  }
+
+  /**
+   * Message tracked by a logical key: the first update posts it, later ones
+   * edit it in place, e.g. for deploy progress or a queue depth
+   * @param {string} key
+   * @param {Object} [opts]
+   * @param {string} [opts.channel] - Defaults to the channel from the config
+   * @returns {Object} { key, channel, ts, update(message), done(message), delete() }
+   */
+  statusMessage (key, opts = {}) {
+    const existing = this._statusMessages.get(key)
+    if (existing) return existing
+
+    const channel = opts.channel || this.conf.channel
+    let ts = null
+    // updates are chained so concurrent calls don't post the message twice
+    let pending = Promise.resolve()
+
+    const queue = (fn) => {
+      const next = pending.then(fn)
+      pending = next.catch(() => {})
+      return next
+    }
+
+    const post = async (message) => {
+      if (ts) {
+        try {
+          return await this.update(channel, ts, message)
+        } catch (err) {
+          // deleted from slack, post it again
+          if (!/message_not_found/.test(err.message)) throw err
+        }
+      }
+
+      const res = await this.message(channel, message, { dedup: false })
+      ts = this._messageTs(res)
+      return res
+    }
+
+    const status = {
+      key,
+      channel,
+      get ts () {
+        return ts
+      },
+      update: (message) => queue(() => post(message)),
+      // final update, the next statusMessage(key) starts a new message
+      done: (message) => queue(async () => {
+        this._statusMessages.delete(key)
+        if (message !== undefined) return post(message)
+      }),
+      delete: () => queue(async () => {
+        this._statusMessages.delete(key)
+        if (!ts) return false
+        const res = await this.delete(channel, ts)
+        ts = null
+        return res
+      })
+    }
+
+    this._statusMessages.set(key, status)
+    return status
+  }
+
+  _renderTemplate (name, vars) {
+    const template = this._templates.get(name)
+    if (!template) throw new Error(`unknown template ${name}`)
+    return render(template, vars)
+  }
+
+  _dedupKey (channel, text, threadTs) {
+    const normalized = this.conf.dedup.normalize === false ? text : normalizeMessage(text)
+    return createHash('sha1').update(`${channel}\n${threadTs || ''}\n${normalized}`).digest('hex')
+  }
+
+  /**
+   * Track a text message in the dedup window, repeats are counted and
+   * reported when the window expires or a distinct message is sent to the
+   * same channel
+   * @returns {boolean} Whether the message is a repeat
+   */
+  _isDuplicate (channel, text, opts) {
+    const key = this._dedupKey(channel, text, opts.threadTs)
+    const entry = this._dedup.get(key)
+
+    if (entry) {
+      entry.count++
+      return true
+    }
+
+    for (const pending of this._dedup.values()) {
+      if (pending.channel === channel && pending.count) this._expireDedup(pending.key)
+    }
+
+    const timer = setTimeout(() => this._expireDedup(key), this.conf.dedup.window)
+    timer.unref()
+    this._dedup.set(key, { key, channel, text, opts, count: 0, firstAt: Date.now(), timer })
+    return false
+  }
+
+  _expireDedup (key) {
+    const entry = this._dedup.get(key)
+    if (!entry) return Promise.resolve()
+
+    clearTimeout(entry.timer)
+    this._dedup.delete(key)
+    if (!entry.count) return Promise.resolve()
+
+    const duration = formatDuration(Date.now() - entry.firstAt)
+    const times = entry.count === 1 ? 'time' : 'times'
+    const text = `${entry.text} (repeated ${entry.count} ${times} in the last ${duration})`
+    return this.message(entry.channel, text, { ...entry.opts, dedup: false })
+      .catch(err => console.error('Failed to send repeated message summary', err))
+  }
+
+  _dispatch (channel, worker, send, meta = {}) {
+    if (this._rateLimiters && !this._crashing) {
+      return this._enqueueRateLimited(channel, worker, send, meta)
+    }
+
+    return this._deliver(worker, send, meta)
+  }
+
+  _splitMessage (message) {
+    const slack = this.conf
+    const maxLength = slack.max_length || 1024
+    const maxParts = slack.split.maxParts || 10
+    const env = (slack.env) ? `Env: ${slack.env}, ` : ''
+    // room for the env prefix and a "(12/12) " part label
+    const budget = maxLength - env.length - `(${maxParts}/${maxParts}) `.length
+
+    const parts = splitText(message, budget)
+    if (parts.length <= maxParts) return parts
+
+    const kept = parts.slice(0, maxParts - 1)
+    kept.push(`... message truncated (${parts.length - kept.length} more parts)`)
+    return kept
+  }
+
+  async _sendParts (channel, worker, parts, opts) {
+    const results = []
+    let threadTs = opts.threadTs || null
+
+    for (let i = 0; i < parts.length; i++) {
+      const payload = this._buildPayload(channel, `(${i + 1}/${parts.length}) ${parts[i]}`, { ...opts, threadTs })
+
+      const res = await this._dispatch(channel, worker, [payload], { sourceName: opts.sourceName })
+      results.push(res)
+
+      if (i === 0 && !threadTs && this.conf.split.thread) {
+        threadTs = this._messageTs(res)
+      }
+    }
+
+    return results
+  }
+
+  /**
+   * Extract the message ts from a postSlackMsg response
+   */
+  _messageTs (res) {
+    if (Array.isArray(res)) return this._messageTs(res[0])
+    if (!res || typeof res !== 'object') return null
+
+    return res.ts || (res.message && res.message.ts) || null
+  }
+
+  /**
+   * Build a postSlackMsg payload entry
+   * @param {string} channel - Slack channel
+   * @param {string|Object} message - Plain mrkdwn text or a structured message
+   *   ({ header, sections, fields, context, blocks, text, severity }), see utils/blocks
+   * @param {Object} [opts] - See message()
+   */
+  _buildPayload (channel, message, opts = {}) {
+    const payload = this._serializePayload(channel, message)
+
+    if (opts.threadTs) {
+      payload.thread_ts = opts.threadTs
+      if (opts.broadcast) payload.reply_broadcast = true
+    }
+
+    return payload
+  }
+
+  _serializePayload (channel, message) {
+    const slack = this.conf
+    const maxLength = slack.max_length || 1024
+    const env = (slack.env) ? `Env: ${slack.env}, ` : ''
+
+    if (isStructuredMessage(message)) {
+      const msg = slack.env
+        ? { ...message, context: [].concat(message.context || [], `Env: ${slack.env}`) }
+        : message
+      const payload = serializeMessage(channel, msg)
+      payload.text = truncate(env + payload.text, maxLength)
+      return payload
+    }
+
+    const rawText = env + message
+    if (rawText.length > maxLength) {
+      this._recordTruncated(channel, rawText.length, maxLength)
+    }
+    const text = (rawText.length > maxLength) ? rawText.slice(0, maxLength) : rawText
+    return { channel, text }
+  }
+
+  _recordTruncated (channel, length, maxLength) {
+    this._metrics.inc('truncated', { channel })
+    this.emit('truncated', { channel, length, maxLength })
+  }
+
+  _getRateLimiter (channel) {
+    let limiter = this._rateLimiters.get(channel)
+    if (!limiter) {
+      const { rate, burst } = this.conf.rateLimit
+      limiter = { channel, bucket: new TokenBucket(rate, burst), queue: [], suppressed: 0, timer: null }
+      this._rateLimiters.set(channel, limiter)
+    }
+    return limiter
+  }
+
+  _enqueueRateLimited (channel, worker, send, meta) {
+    const limiter = this._getRateLimiter(channel)
+
+    if (!limiter.queue.length && limiter.bucket.tryTake()) {
+      return this._deliver(worker, send, meta)
+    }
+
+    if (limiter.queue.length >= this.conf.rateLimit.maxQueue) {
+      limiter.suppressed++
+      this._metrics.inc('suppressed', { channel, sourceName: meta.sourceName })
+      this._scheduleRateLimited(limiter)
+      return Promise.resolve(false)
+    }
+
+    return new Promise((resolve, reject) => {
+      limiter.queue.push({ worker, send, meta, resolve, reject })
+      this._scheduleRateLimited(limiter)
+    })
+  }
+
+  _scheduleRateLimited (limiter) {
+    if (limiter.timer) return
+
+    limiter.timer = setTimeout(() => {
+      limiter.timer = null
+      this._drainRateLimited(limiter)
+    }, limiter.bucket.msUntilNext())
+
+    limiter.timer.unref()
+  }
+
+  _drainRateLimited (limiter, force = false) {
+    const pending = []
+    const canSend = () => force || limiter.bucket.tryTake()
+
+    while (limiter.queue.length && canSend()) {
+      const { worker, send, meta, resolve, reject } = limiter.queue.shift()
+      pending.push(this._deliver(worker, send, meta).then(resolve, reject))
+    }
+
+    if (!limiter.queue.length && limiter.suppressed && canSend()) {
+      pending.push(this._sendSuppressedNotice(limiter))
+    }
+
+    if (limiter.queue.length || limiter.suppressed) {
+      this._scheduleRateLimited(limiter)
+    }
+
+    return Promise.all(pending)
+  }
+
+  _sendSuppressedNotice (limiter) {
+    const count = limiter.suppressed
+    limiter.suppressed = 0
+
+    const worker = this.conf.worker || 'rest:ext:slack'
+    const send = [this._buildPayload(limiter.channel, `${count} messages suppressed by rate limiting`)]
+
+    return this._deliver(worker, send).catch((err) => {
+      console.error('Failed to send rate limit suppression notice', err)
+    })
+  }
+
+  async _flushRateLimited () {
+    if (!this._rateLimiters) return
+
+    const pending = []
+    for (const limiter of this._rateLimiters.values()) {
+      if (limiter.timer) {
+        clearTimeout(limiter.timer)
+        limiter.timer = null
+      }
+      pending.push(this._drainRateLimited(limiter, true))
+    }
+
+    await Promise.all(pending)
+  }
+
+  async _postSlackMsg (worker, send, meta = {}) {
+    const labels = { channel: send[0] && send[0].channel, sourceName: meta.sourceName }
+    const start = Date.now()
+
+    try {
+      return await this._transport.post(send, worker)
+    } finally {
+      this._metrics.observe(Date.now() - start, labels)
+    }
+  }
+
+  /**
+   * @param {Object} [meta]
+   * @param {string} [meta.sourceName]
+   * @param {boolean} [meta.redelivery] - Dead letter redelivery, sent once and not queued again on failure
+   */
+  async _deliver (worker, send, meta = {}) {
+    const labels = { channel: send[0] && send[0].channel, sourceName: meta.sourceName }
+    const start = Date.now()
+    const retryOpts = meta.redelivery ? { ...this._retryOpts, attempts: 1 } : this._retryOpts
+
+    try {
+      const res = await retry((attempt) => {
+        if (attempt > 1) this._metrics.inc('retried', labels)
+        return this._postSlackMsg(worker, send, meta)
+      }, retryOpts)
+
+      this._metrics.inc('sent', labels)
+      this.emit('sent', { ...labels, send, durationMs: Date.now() - start })
+      return res
+    } catch (err) {
+      this._metrics.inc('failed', labels)
+      this.emit('failed', { ...labels, send, error: err })
+
+      if (this._deadLetters && !meta.redelivery && isRetryableError(err, this._retryOpts.retryableErrors)) {
+        this._enqueueDeadLetter(worker, send, err)
+      }
+      throw err
+    }
+  }
+
+  _enqueueDeadLetter (worker, send, err) {
+    const entry = { worker, send, error: err.message, failedAt: new Date() }
+    this._deadLetters.push(entry)
+    this._deadLetterStats.queued++
+    this._appendSpool({ t: 'dead', entry })
+
+    if (this._deadLetters.length > this.conf.deadLetter.maxSize) {
+      this._deadLetters.shift()
+      this._deadLetterStats.dropped++
+      this._metrics.inc('dropped')
+    }
+  }
+
+  /**
+   * Redeliver queued messages through the rate limiter, in order
+   * @param {boolean} [flush] - Skip the rate limiter, on shutdown once its queues are flushed
+   */
+  async _drainDeadLetters (flush = false) {
+    if (!this._deadLetters || !this._deadLetters.length || this._drainingDeadLetters) {
+      return
+    }
+
+    this._drainingDeadLetters = true
+    const pending = this._deadLetters.splice(0)
+    this._deadLettersInFlight = pending
+
+    try {
+      for (let i = 0; i < pending.length; i++) {
+        const entry = pending[i]
+        const channel = entry.send[0] && entry.send[0].channel
+
+        // a full channel queue would suppress the message, retry on the next drain
+        if (!flush && this._rateLimiters && this._getRateLimiter(channel).queue.length >= this.conf.rateLimit.maxQueue) {
+          this._deadLetters.unshift(...pending.slice(i))
+          break
+        }
+
+        try {
+          const meta = { redelivery: true }
+          await (flush ? this._deliver(entry.worker, entry.send, meta) : this._dispatch(channel, entry.worker, entry.send, meta))
+          this._deadLetterStats.redelivered++
+        } catch (err) {
+          // worker still unavailable, keep the remaining entries for the next drain
+          entry.error = err.message
+          this._deadLetters.unshift(...pending.slice(i))
+          break
+        }
+      }
+
+      const overflow = this._deadLetters.length - this.conf.deadLetter.maxSize
+      if (overflow > 0) {
+        this._deadLetters.splice(0, overflow)
+        this._deadLetterStats.dropped += overflow
+        this._metrics.inc('dropped', {}, overflow)
+      }
+    } finally {
+      this._drainingDeadLetters = false
+      this._deadLettersInFlight = null
+      this._compactSpool()
+    }
+  }
+
+  _dropDeadLetters () {
+    if (!this._deadLetters || !this._deadLetters.length) return
+
+    console.error(`Dropping ${this._deadLetters.length} undelivered slack messages`)
+    this._deadLetterStats.dropped += this._deadLetters.length
+    this._metrics.inc('dropped', {}, this._deadLetters.length)
+    this._deadLetters = []
+  }
+
+  getDeadLetterStats () {
+    if (!this._deadLetters) return null
+
+    return { size: this._deadLetters.length, ...this._deadLetterStats }
+  }
+
+  logError (reqChannel, err, ...extra) {
+    return this._logError(reqChannel, err, extra)
+  }
+
+  /**
+   * @param {Object} [opts] - message() options
+   */
+  _logError (reqChannel, err, extra, opts = {}) {
+    if (!this._isLevelEnabled('error')) return Promise.resolve(false)
+
+    const errTag = err instanceof Error ? '' : 'Error: '
+    if (this._mutes.size) opts = { ...opts, fingerprint: this._fingerprint(err) }
+
+    return this.message(this._routeChannel('error', reqChannel), this._formatLogMessage(err, extra, errTag), opts)
+  }
+
+  /**
+   * Log a message with a severity level
+   * @param {string} level - info, warn, error or critical
+   * @param {string|Object} target - Slack channel or { channel, sourceName }, an explicit channel
+   *   takes precedence over the levels routing config
+   * @param {Error|string|Object} msg - Error, text or structured message to log
+   * @param {...any} extra - Additional information to log
+   */
+  log (level, target, msg, ...extra) {
+    if (!isValidLevel(level)) {
+      return Promise.reject(new Error(`Unknown level ${level}, expected one of ${LEVELS.join(', ')}`))
+    }
+    if (!this._isLevelEnabled(level)) return Promise.resolve(false)
+
+    const { channel, sourceName } = (target && typeof target === 'object') ? target : { channel: target }
+    const reqChannel = this._routeChannel(level, channel, sourceName)
+
+    if (isStructuredMessage(msg)) {
+      return this.message(reqChannel, { severity: level, ...msg }, { sourceName })
+    }
+
+    const source = sourceName ? ` ${sourceName}:` : ''
+    return this.message(reqChannel, `[${level.toUpperCase()}]${source} ${this._formatLogMessage(msg, extra)}`, { sourceName })
+  }
+
+  info (target, msg, ...extra) {
+    return this.log('info', target, msg, ...extra)
+  }
+
+  warn (target, msg, ...extra) {
+    return this.log('warn', target, msg, ...extra)
+  }
+
+  error (target, msg, ...extra) {
+    return this.log('error', target, msg, ...extra)
+  }
+
+  critical (target, msg, ...extra) {
+    return this.log('critical', target, msg, ...extra)
+  }
+
+  _formatLogMessage (err, extra, errTag = '') {
+    err = this._redact(err)
+    extra = extra.map(el => this._redact(el))
+
+    let error = err
+    if (err instanceof Error) {
+      error = formatError(err, this._errorFormat)
+    } else if (err instanceof Object) {
+      error = util.inspect(err, { depth: 10 })
+    }
+    const extraP = extra.length
+      ? `Extra: ${util.format(...extra.map(el => typeof el === 'object' ? util.inspect(el, { depth: 10 }) : el))}, `
+      : ''
+
+    return `${extraP}${errTag}${error}`
+  }
+
+  /**
+   * Redacted copy of value when redaction is configured, see utils/redact
+   */
+  _redact (value) {
+    if (!this._redactor) return value
+    return this._redactor.redact(value)
+  }
+
+  _isLevelEnabled (level) {
+    if (!this.conf.levels) return true
+    return isLevelEnabled(level, resolveMinLevel(this.conf.levels.minLevel, this.conf.env))
+  }
+
+  _routeChannel (level, reqChannel, sourceName) {
+    if (reqChannel || !this.conf.levels) return reqChannel
+
+    const { channels = {}, sources = {} } = this.conf.levels
+    const sourceRoute = sourceName && sources[sourceName]
+
+    if (typeof sourceRoute === 'string') return sourceRoute
+    if (sourceRoute && sourceRoute[level]) return sourceRoute[level]
+
+    return channels[level]
+  }
+
+  _createErrorGroupKey (reqChannel, sourceName) {
+    return `${reqChannel}:${sourceName}`
+  }
+
+  _createErrorKey (reqChannel, err, sourceName = 'unknown') {
+    return this._createErrorGroupKey(reqChannel, sourceName) + `:${this._fingerprint(err, sourceName)}`
+  }
+
+  _fingerprint (err, sourceName) {
+    const custom = sourceName && this._fingerprints.get(sourceName)
+    if (custom) {
+      return createHash('sha1').update(String(custom(err, sourceName))).digest('hex')
+    }
+
+    const fingerprintOpts = (this.conf.errorBatching && this.conf.errorBatching.fingerprint) || {}
+    return fingerprint(err, fingerprintOpts)
+  }
+
+  /**
+   * Use a custom fingerprint for errors of a source, errors with the same
+   * fingerprint are batched together
+   * @param {string} sourceName - Source of the errors
+   * @param {Function} fn - Called with (err, sourceName), returns a string
+   */
+  setFingerprint (sourceName, fn) {
+    if (typeof fn !== 'function') {
+      throw new Error('fingerprint must be a function')
+    }
+    this._fingerprints.set(sourceName, fn)
+  }
+
+  /**
+   * Batch log error to slack
+   * @param {string} reqChannel - Slack channel to log the error to, if not provided, the channel from the config will be used
+   * @param {Error} err - Error to log
+   * @param {string} sourceName - Source of the error
+   * @param {Object} payload - Payload to log
+   * @param {...any} extra - Additional information to log
+   */
+  async logErrorEnqueue (reqChannel, err, sourceName, payload, ...extra) {
+    if (!this._errorBatch) {
+      console.error('Error batching not initialized, falling back to direct log')
+      return this.logError(reqChannel, err, sourceName, payload, ...extra)
+    }
+
+    if (!reqChannel) {
+      reqChannel = this.conf.channel
+    }
+
+    try {
+      const errorKey = this._createErrorKey(reqChannel, err, sourceName)
+
+      if (this._isMuted({ channel: reqChannel, sourceName, fingerprint: errorKey.slice(errorKey.lastIndexOf(':') + 1) })) {
+        return
+      }
+
+      if (this._batchingOpts(reqChannel, sourceName).immediate) {
+        return this.logError(reqChannel, err, sourceName, payload, ...extra)
+      }
+
+      const occurrence = {
+        errorMessage: this._redact(err.message),
+        stack: this._representativeStack(err),
+        sourceName,
+        reqChannel,
+        payload: this._redact(payload),
+        extras: this._redact(extra),
+        at: new Date()
+      }
+
+      if (this._digestSources && this._digestSources.has(sourceName)) {
+        this._digest.add(errorKey, occurrence)
+        this._appendSpool({ t: 'digestError', key: errorKey, entry: occurrence })
+      } else {
+        this._addBatchEntry(errorKey, occurrence)
+        this._appendSpool({ t: 'error', key: errorKey, entry: occurrence })
+      }
+      this._metrics.inc('batched', { channel: reqChannel, sourceName })
+
+      if (this._stormDetector) {
+        await this._checkAlertStorm(errorKey, occurrence)
+      }
+    } catch (e) {
+      console.error('Error batching failed, falling back to direct log', e)
+      await this.logError(reqChannel, err, sourceName, payload, ...extra)
+    }
+  }
+
+  /**
+   * Top app frames of the error, kept on batch entries as a representative stack
+   */
+  _representativeStack (err) {
+    const { frames } = appFrames(err?.stack, this._errorFormat)
+    return frames.length ? this._redact(frames.join('\n')) : null
+  }
+
+  _addBatchEntry (errorKey, { errorMessage, stack, sourceName, reqChannel, payload, extras, at }) {
+    let errorEntry = this._errorBatch.get(errorKey)
+
+    if (!errorEntry) {
+      errorEntry = {
+        errorKey,
+        errorMessage,
+        stack: stack || null,
+        sourceName,
+        reqChannel,
+        payloads: [
+          { payload, extras }
+        ],
+        count: 1,
+        firstSeen: at,
+        lastSeen: at
+      }
+      if (this._aggregation) {
+        errorEntry.hosts = { [this._aggregation.host]: 1 }
+      }
+      this._errorBatch.set(errorKey, errorEntry)
+      return
+    }
+
+    errorEntry.count++
+    errorEntry.lastSeen = at
+    if (errorEntry.hosts) {
+      errorEntry.hosts[this._aggregation.host] = (errorEntry.hosts[this._aggregation.host] || 0) + 1
+    }
+    errorEntry.stack = errorEntry.stack || stack || null
+
+    const { payloads, sampling } = this._batchingOpts(reqChannel, sourceName)
+    addSample(errorEntry.payloads, { payload, extras }, errorEntry.count, { size: payloads, strategy: sampling })
+  }
+
+  async _checkAlertStorm (errorKey, occurrence) {
+    if (this._isAcknowledged(errorKey)) return
+
+    const triggered = this._stormDetector.record(errorKey, occurrence, occurrence.at.getTime())
+
+    for (const escalation of triggered) {
+      try {
+        await this._sendEscalation(occurrence, escalation)
+      } catch (err) {
+        console.error('Failed to send alert storm escalation', err)
+      }
+    }
+  }
+
+  _sendEscalation ({ sourceName, errorMessage }, { rule, count, prevCount, reason }) {
+    const escalation = this.conf.escalation
+    const channel = rule.channel || escalation.channel
+    const mention = this._formatMention(rule.mention !== undefined ? rule.mention : escalation.mention)
+    const window = formatDuration(rule.window)
+
+    const detail = reason === 'threshold'
+      ? `threshold ${rule.threshold}`
+      : `${prevCount} in the previous ${window}`
+
+    let message = mention ? `${mention} ` : ''
+    message += `*Alert storm - ${sourceName}*\n`
+    message += rule.per === 'source'
+      ? `${count} errors in the last ${window} (${detail}), latest: "${errorMessage}"`
+      : `"${errorMessage}" occurred ${count} times in the last ${window} (${detail})`
+
+    return this.message(channel, message, { dedup: false })
+  }
+
+  _formatMention (mention) {
+    if (!mention) return ''
+    if (mention === '@here' || mention === '@channel' || mention === '@everyone') {
+      return `<!${mention.slice(1)}>`
+    }
+    return mention
+  }
+
+  /**
+   * Report the batched errors
+   * @param {number} [interval] - Only flush the error types with this flush interval,
+   *   all of them when not set
+   */
+  async _processBatchedErrors (interval) {
+    if (this._stormDetector) {
+      this._stormDetector.prune()
+    }
+
+    if (!this._errorBatch) {
+      return
+    }
+
+    const entries = interval === undefined
+      ? this._errorBatch.values()
+      : this._errorBatch.values().filter(entry => this._batchingOpts(entry.reqChannel, entry.sourceName).interval === interval)
+
+    if (entries.length === 0) {
+      await this._sendRecoveries()
+      return
+    }
+
+    if (this._aggregation && this._aggregation.role === 'forwarder' && await this._forwardBatchedErrors(entries)) {
+      this._removeBatchEntries(entries)
+      this._compactSpool()
+      return
+    }
+
+    const kept = new Set()
+
+    try {
+      const errorGroups = new Map() // group errors by channel and source
+      let evicted = this._errorBatch.evicted || 0
+
+      for (const errorEntry of entries) {
+        const groupKey = this._createErrorGroupKey(errorEntry.reqChannel, errorEntry.sourceName)
+        if (!errorGroups.has(groupKey)) {
+          errorGroups.set(groupKey, {
+            errors: [],
+            totalCount: 0,
+            earliestTime: Infinity,
+            latestTime: -Infinity
+          })
+        }
+
+        if (this._activeErrors) {
+          this._trackActiveError(errorEntry)
+        }
+
+        const group = errorGroups.get(groupKey)
+        group.errors.push(errorEntry)
+        group.totalCount += errorEntry.count
+
+        // Track time range
+        const firstTime = errorEntry.firstSeen.getTime()
+        const lastTime = errorEntry.lastSeen.getTime()
+        if (firstTime < group.earliestTime) group.earliestTime = firstTime
+        if (lastTime > group.latestTime) group.latestTime = lastTime
+      }
+
+      const delivered = []
+      for (const group of errorGroups.values()) {
+        const { errors, totalCount, earliestTime, latestTime } = group
+        const { reqChannel, sourceName } = errors[0]
+
+        // evictions are reported once, in the first report of the flush
+        const groupEvicted = evicted
+        evicted = 0
+
+        try {
+          if (this._errorThreads) {
+            await this._sendThreadedErrors(reqChannel, sourceName, errors, groupEvicted)
+          } else {
+            const res = await this._sendBatchedErrorMessage(reqChannel, sourceName, errors, totalCount, earliestTime, latestTime, groupEvicted)
+            this._setRecoveryThread(errors, res)
+          }
+          delivered.push(group)
+        } catch (e) {
+          console.error('Failed to process batched errors', e)
+          // on a transient failure the errors stay in the batch and the spool for the next
+          // flush, unless the report itself was dead lettered
+          if (!this._deadLetters && isRetryableError(e, this._retryOpts.retryableErrors)) {
+            errors.forEach(entry => kept.add(entry))
+          }
+        }
+      }
+
+      let errorTypes = 0
+      let occurrences = 0
+      for (const { errors, totalCount } of delivered) {
+        const { reqChannel, sourceName } = errors[0]
+        this._metrics.inc('flushed', { channel: reqChannel, sourceName }, totalCount)
+        errorTypes += errors.length
+        occurrences += totalCount
+      }
+      this.emit('flushed', { groups: delivered.length, errorTypes, occurrences })
+    } catch (e) {
+      console.error('Failed to process batched errors', e)
+    } finally {
+      this._removeBatchEntries(entries.filter(entry => !kept.has(entry)))
+      this._compactSpool()
+    }
+
+    await this._sendRecoveries()
+  }
+
+  /**
+   * Remove flushed entries from the batch. Batch stores have no delete, the
+   * entries still pending are set again after a clear
+   */
+  _removeBatchEntries (entries) {
+    const flushed = new Set(entries)
+    const pending = this._errorBatch.values().filter(entry => !flushed.has(entry))
+
+    this._errorBatch.clear()
+    for (const entry of pending) {
+      this._errorBatch.set(entry.errorKey, entry)
+    }
+  }
+
+  /**
+   * Send batch entries to the aggregator, they are reported locally when the
+   * aggregator cannot be reached
+   * @returns {Promise<boolean>} Whether the entries were forwarded
+   */
+  async _forwardBatchedErrors (entries) {
+    const { worker, action = 'aggregateSlackErrors' } = this.conf.errorBatching.aggregation
+
+    try {
+      await this.caller.grc_bfx.req(
+        worker,
+        action,
+        [{ host: this._aggregation.host, entries, evicted: this._errorBatch.evicted || 0 }],
+        { timeout: this.conf.timeout || 10000 })
+    } catch (err) {
+      console.error('Failed to forward batched errors to the aggregator, reporting them locally', err)
+      return false
+    }
+
+    for (const entry of entries) {
+      this._metrics.inc('flushed', { channel: entry.reqChannel, sourceName: entry.sourceName }, entry.count)
+    }
+    this.emit('forwarded', { host: this._aggregation.host, errorTypes: entries.length })
+    return true
+  }
+
+  /**
+   * Merge batch entries forwarded by another instance into the batch, to be
+   * called by the grenache handler of the aggregator service
+   * @param {Object} batch
+   * @param {string} batch.host - Host of the forwarding instance
+   * @param {Array<Object>} batch.entries - Batch entries keyed by errorKey
+   * @param {number} [batch.evicted] - Entries evicted on the forwarding instance
+   */
+  aggregateBatchedErrors ({ host, entries, evicted = 0 }) {
+    if (!this._errorBatch) {
+      throw new Error('errorBatching must be configured to aggregate batched errors')
+    }
+
+    for (const entry of entries) {
+      const fingerprint = entry.errorKey.slice(entry.errorKey.lastIndexOf(':') + 1)
+      if (this._isMuted({ channel: entry.reqChannel, sourceName: entry.sourceName, fingerprint })) continue
+
+      const merged = this._mergeBatchEntry(entry, host)
+      this._appendSpool({ t: 'batch', key: merged.errorKey, entry: merged })
+      this._metrics.inc('batched', { channel: entry.reqChannel, sourceName: entry.sourceName }, entry.count)
+    }
+
+    if (evicted && typeof this._errorBatch.evicted === 'number') {
+      this._errorBatch.evicted += evicted
+    }
+  }
+
+  _mergeBatchEntry (entry, host) {
+    const firstSeen = new Date(entry.firstSeen)
+    const lastSeen = new Date(entry.lastSeen)
+    const hosts = entry.hosts || { [host]: entry.count }
+    const { payloads, sampling } = this._batchingOpts(entry.reqChannel, entry.sourceName)
+    const sampleOpts = { size: payloads, strategy: sampling }
+    let target = this._errorBatch.get(entry.errorKey)
+
+    if (!target) {
+      target = { ...entry, payloads: mergeSamples([], entry.payloads, sampleOpts), firstSeen, lastSeen, hosts: { ...hosts } }
+      this._errorBatch.set(entry.errorKey, target)
+      return target
+    }
+
+    target.count += entry.count
+    if (firstSeen < target.firstSeen) target.firstSeen = firstSeen
+    if (lastSeen > target.lastSeen) target.lastSeen = lastSeen
+    target.stack = target.stack || entry.stack || null
+    target.payloads = mergeSamples(target.payloads, entry.payloads, sampleOpts)
+    target.hosts = target.hosts || {}
+    for (const [name, count] of Object.entries(hosts)) {
+      target.hosts[name] = (target.hosts[name] || 0) + count
+    }
+
+    return target
+  }
+
+  async _processDigest () {
+    const periodStart = this._digestPeriodStart
+    const periodEnd = new Date()
+    this._digestPeriodStart = periodEnd
+
+    try {
+      for (const { channel, vars } of this._digest.rotate(periodStart, periodEnd)) {
+        try {
+          await this.message(channel, this._renderTemplate('digest', vars), { dedup: false })
+          this._metrics.inc('flushed', { channel }, vars.totalErrors)
+        } catch (err) {
+          console.error('Failed to send error digest', err)
+        }
+      }
+    } finally {
+      this._compactSpool()
+    }
+  }
+
+  _trackActiveError (errorEntry) {
+    const tracked = this._activeErrors.get(errorEntry.errorKey)
+
+    if (!tracked) {
+      this._activeErrors.set(errorEntry.errorKey, {
+        errorMessage: errorEntry.errorMessage,
+        sourceName: errorEntry.sourceName,
+        reqChannel: errorEntry.reqChannel,
+        firstSeen: errorEntry.firstSeen,
+        lastSeen: errorEntry.lastSeen,
+        total: errorEntry.count,
+        threadTs: null
+      })
+      return
+    }
+
+    tracked.lastSeen = errorEntry.lastSeen
+    tracked.total += errorEntry.count
+  }
+
+  _setRecoveryThread (errors, res) {
+    if (!this._activeErrors) return
+
+    const ts = this._messageTs(res)
+    if (!ts) return
+
+    for (const error of errors) {
+      const tracked = this._activeErrors.get(error.errorKey)
+      if (tracked && !tracked.threadTs) tracked.threadTs = ts
+    }
+  }
+
+  /**
+   * Post a resolved notice for error types not seen for the quiet period,
+   * as a reply to the report they were first posted in when known
+   */
+  async _sendRecoveries () {
+    if (!this._activeErrors) return
+
+    const { quietPeriod } = this.conf.errorBatching.recovery
+    const now = Date.now()
+    // errors waiting for a slower flush interval are still happening
+    const pending = new Set(this._errorBatch.values().map(entry => entry.errorKey))
+
+    for (const [errorKey, tracked] of this._activeErrors) {
+      if (pending.has(errorKey) || now - tracked.lastSeen.getTime() < quietPeriod) continue
+
+      this._activeErrors.delete(errorKey)
+
+      const thread = this._errorThreads && this._errorThreads.get(errorKey)
+      const threadTs = tracked.threadTs || (thread && thread.ts) || null
+      if (thread) this._errorThreads.delete(errorKey)
+
+      const duration = formatDuration(tracked.lastSeen.getTime() - tracked.firstSeen.getTime())
+      const message = `Resolved: *${tracked.errorMessage}* (${tracked.sourceName}) last seen at ${formatTime(tracked.lastSeen)}, ` +
+        `${tracked.total} total occurrences over ${duration}`
+
+      try {
+        await this.message(tracked.reqChannel, message, { threadTs, dedup: false })
+      } catch (err) {
+        console.error('Failed to send recovery notification', err)
+      }
+    }
+  }
+
+  /**
+   * Post errors already reported in a previous interval as replies to that
+   * report, and the remaining ones as a new report that becomes their thread
+   */
+  async _sendThreadedErrors (reqChannel, sourceName, errors, evicted = 0) {
+    const { ttl = 3600000 } = this.conf.errorBatching.threads
+    const now = Date.now()
+
+    for (const [errorKey, thread] of this._errorThreads) {
+      if (now - thread.postedAt > ttl) this._errorThreads.delete(errorKey)
+    }
+
+    const fresh = []
+    for (const error of errors) {
+      const thread = this._errorThreads.get(error.errorKey)
+      if (thread) {
+        await this._sendErrorThreadReply(thread, error)
+      } else {
+        fresh.push(error)
+      }
+    }
+
+    if (!fresh.length) return
+
+    let totalCount = 0
+    let earliestTime = Infinity
+    let latestTime = -Infinity
+    for (const error of fresh) {
+      totalCount += error.count
+      earliestTime = Math.min(earliestTime, error.firstSeen.getTime())
+      latestTime = Math.max(latestTime, error.lastSeen.getTime())
+    }
+
+    const res = await this._sendBatchedErrorMessage(reqChannel, sourceName, fresh, totalCount, earliestTime, latestTime, evicted)
+    const ts = this._messageTs(res)
+    if (!ts) return
+
+    for (const error of fresh) {
+      this._errorThreads.set(error.errorKey, { ts, reqChannel, lastCount: error.count, postedAt: now })
+    }
+  }
+
+  async _sendErrorThreadReply (thread, error) {
+    const { broadcastFactor = 3, broadcastMinCount = 10 } = this.conf.errorBatching.threads
+    const timeRange = this._formatTimeRange(error.firstSeen.getTime(), error.lastSeen.getTime())
+    const broadcast = error.count >= broadcastMinCount && error.count >= thread.lastCount * broadcastFactor
+
+    let message = `• *${error.errorMessage}* occurred again (${error.count}x, ${timeRange})\n`
+    for (const item of error.payloads) {
+      message += `    - ${JSON.stringify(item.payload)}\n`
+      if (Array.isArray(item.extras) && item.extras.length) {
+        message += `     Extras: ${JSON.stringify(item.extras)}\n`
+      }
+    }
+
+    thread.lastCount = error.count
+    thread.postedAt = Date.now()
+
+    return this.message(thread.reqChannel, message, { threadTs: thread.ts, broadcast, dedup: false })
+  }
+
+  async _sendBatchedErrorMessage (reqChannel, sourceName, errors, totalErrors, earliestTime, latestTime, evicted = 0) {
+    if (this.conf.errorBatching.blocks) {
+      return this._sendBatchedErrorBlocks(reqChannel, sourceName, errors, totalErrors, earliestTime, latestTime, evicted)
+    }
+
+    // hosts are tracked when batches are aggregated across instances
+    const hosts = new Set()
+    const reportErrors = errors.map(error => {
+      const affectedHosts = this._affectedHosts(error)
+      affectedHosts.forEach(({ host }) => hosts.add(host))
+      return { ...error, affectedHosts }
+    })
+
+    const vars = {
+      sourceName,
+      channel: reqChannel,
+      hostCount: hosts.size,
+      totalErrors,
+      errorTypes: errors.length,
+      earliestTime,
+      latestTime,
+      timeRange: this._formatTimeRange(earliestTime, latestTime),
+      evicted,
+      evictedNotice: evicted ? this._formatEvicted(evicted) : '',
+      errors: reportErrors,
+      truncatedTypes: 0,
+      truncatedDetails: ''
+    }
+
+    let message = this._renderTemplate('batchedReport', vars)
+
+    // in split mode message() posts the whole report in parts instead,
+    // otherwise leave out stacks, then payloads, then drop error types from
+    // the end until the report fits, always keeping the first error type
+    const { maxMessageLength } = this._batchingOpts(reqChannel, sourceName)
+    let shown = errors.length
+    if (!this.conf.split && message.length > maxMessageLength) {
+      const hasStacks = reportErrors.some(error => error.stack)
+      const compacted = [
+        { errors: reportErrors.map(error => ({ ...error, stack: null, payloads: [] })), truncatedDetails: hasStacks ? 'stacks and payloads' : 'payloads' }
+      ]
+      if (hasStacks) {
+        compacted.unshift({ errors: reportErrors.map(error => ({ ...error, stack: null })), truncatedDetails: 'stacks' })
+      }
+
+      for (const compact of compacted) {
+        message = this._renderTemplate('batchedReport', { ...vars, ...compact })
+        if (message.length <= maxMessageLength) break
+      }
+
+      const compactErrors = compacted[compacted.length - 1].errors
+      while (shown > 1 && message.length > maxMessageLength) {
+        shown--
+        message = this._renderTemplate('batchedReport', {
+          ...vars,
+          errors: compactErrors.slice(0, shown),
+          truncatedTypes: errors.length - shown
+        })
+      }
+      if (message.length > maxMessageLength) message = message.slice(0, maxMessageLength)
+      this._recordTruncated(reqChannel, null, maxMessageLength)
+    }
+
+    if (this._reportedErrors) {
+      return this._sendBatchedErrorActions(reqChannel, sourceName, message, errors.slice(0, shown))
+    }
+
+    return this._logError(reqChannel, message, [], { dedup: false })
+  }
+
+  /**
+   * Text report with action buttons below it for each reported error type
+   */
+  async _sendBatchedErrorActions (reqChannel, sourceName, text, errors) {
+    if (!this._isLevelEnabled('error')) return false
+
+    const sections = splitText(text, MAX_TEXT_LENGTH)
+    const withActions = errors.slice(0, Math.floor((MAX_BLOCKS - sections.length) / 2))
+    const muteLabel = formatDuration(this._actionOpts().muteDuration)
+
+    for (const error of withActions) {
+      sections.push(contextBlock(`• ${error.errorMessage}`), actionsBlock(error.errorKey, muteLabel))
+    }
+    this._rememberReportedErrors(withActions)
+
+    return this.message(this._routeChannel('error', reqChannel), {
+      text: `Batched Error Report - ${sourceName}`,
+      sections,
+      severity: 'error'
+    }, { dedup: false })
+  }
+
+  async _sendBatchedErrorBlocks (reqChannel, sourceName, errors, totalErrors, earliestTime, latestTime, evicted = 0) {
+    if (!this._isLevelEnabled('error')) return false
+
+    const timeRange = this._formatTimeRange(earliestTime, latestTime)
+    const summary = `${totalErrors} errors across ${errors.length} types (${timeRange})`
+
+    // header, summary and divider plus the trailing context line, error
+    // sections are followed by their action buttons when enabled
+    const maxErrorSections = this._reportedErrors ? Math.floor((MAX_BLOCKS - 4) / 2) : MAX_BLOCKS - 4
+    const muteLabel = this._reportedErrors && formatDuration(this._actionOpts().muteDuration)
+    const sections = [`*Summary:* ${summary}`, 'divider']
+
+    for (const error of errors.slice(0, maxErrorSections)) {
+      const fields = error.stack ? [`*Stack*\n\`\`\`${truncate(error.stack, 1900)}\`\`\``] : []
+      error.payloads.forEach((item, idx) => {
+        fields.push(`*Payload ${idx + 1}*\n\`\`\`${truncate(JSON.stringify(item.payload), 1900)}\`\`\``)
+        if (Array.isArray(item.extras) && item.extras.length) {
+          fields.push(`*Extras ${idx + 1}*\n\`\`\`${truncate(JSON.stringify(item.extras), 1900)}\`\`\``)
+        }
+      })
+
+      const hosts = this._affectedHosts(error).map(({ host, count }) => `${host} (${count}x)`)
+      const text = `• *${error.errorMessage}* (${error.count}x)` + (hosts.length ? `\nHosts: ${hosts.join(', ')}` : '')
+      sections.push({ text, fields })
+      if (this._reportedErrors) sections.push(actionsBlock(error.errorKey, muteLabel))
+    }
+    if (this._reportedErrors) this._rememberReportedErrors(errors.slice(0, maxErrorSections))
+
+    const context = []
+    if (errors.length > maxErrorSections) {
+      context.push(`... ${errors.length - maxErrorSections} more error types`)
+    }
+    if (evicted) {
+      context.push(this._formatEvicted(evicted))
+    }
+
+    return this.message(this._routeChannel('error', reqChannel), {
+      text: `Batched Error Report - ${sourceName}: ${summary}`,
+      header: `Batched Error Report - ${sourceName}`,
+      sections,
+      context,
+      severity: 'error'
+    }, { dedup: false })
+  }
+
+  _affectedHosts (error) {
+    return Object.entries(error.hosts || {})
+      .map(([host, count]) => ({ host, count }))
+      .sort((a, b) => b.count - a.count)
+  }
+
+  _formatEvicted (evicted) {
+    return `${evicted} error types were evicted from the batch after it reached its max size`
+  }
+
+  _actionOpts () {
+    const { muteDuration = 3600000, ackTtl = 3600000, maxDetails = 500, signingSecret } = this.conf.errorBatching.actions
+    return { muteDuration, ackTtl, maxDetails, signingSecret }
+  }
+
+  // details of reported errors for the Show full payload action, oldest are dropped first
+  _rememberReportedErrors (errors) {
+    const { maxDetails } = this._actionOpts()
+
+    for (const { errorKey, errorMessage, sourceName, stack, count, payloads, firstSeen, lastSeen } of errors) {
+      this._reportedErrors.delete(errorKey)
+      this._reportedErrors.set(errorKey, { errorMessage, sourceName, stack, count, payloads, firstSeen, lastSeen })
+    }
+
+    for (const errorKey of this._reportedErrors.keys()) {
+      if (this._reportedErrors.size <= maxDetails) break
+      this._reportedErrors.delete(errorKey)
+    }
+  }
+
+  _isAcknowledged (errorKey) {
+    if (!this._acks) return false
+
+    const ack = this._acks.get(errorKey)
+    if (!ack) return false
+    if (Date.now() - ack.at < this._actionOpts().ackTtl) return true
+
+    this._acks.delete(errorKey)
+    return false
+  }
+
+  /**
+   * Handle a slack interaction callback for the action buttons of batched
+   * reports, to be called by the grenache handler the interactivity request
+   * url is routed to. Actions of other apps are ignored.
+   * @param {Object|string} body - Interaction payload, its JSON or the form encoded request body
+   * @param {Object} req - Request details, checked against the signing secret
+   * @param {string} req.signature - X-Slack-Signature header
+   * @param {string} req.timestamp - X-Slack-Request-Timestamp header
+   * @param {string} req.rawBody - Raw request body
+   * @returns {Promise<boolean>} Whether an action was handled
+   */
+  async handleInteraction (body, req = {}) {
+    if (!this._reportedErrors) {
+      throw new Error('errorBatching.actions is required to handle interactions')
+    }
+
+    if (!verifySignature(this._actionOpts().signingSecret, req)) {
+      throw new Error('Invalid slack request signature')
+    }
+
+    const payload = parseInteraction(body === undefined ? req.rawBody : body)
+    if (!payload || payload.type !== 'block_actions') return false
+
+    if (payload.response_url !== undefined && !isResponseUrl(payload.response_url)) {
+      throw new Error('Invalid slack response_url')
+    }
+
+    let handled = false
+    for (const action of payload.actions || []) {
+      const kind = actionKind(action.action_id)
+      // only errors reported by this facility can be acknowledged or muted
+      if (!kind || !this._reportedErrors.has(action.value)) continue
+
+      handled = true
+      await this._handleAction(kind, action, payload)
+    }
+
+    return handled
+  }
+
+  async _handleAction (kind, action, payload) {
+    const errorKey = action.value
+    const user = payload.user && payload.user.id ? `<@${payload.user.id}>` : 'unknown user'
+    const { muteDuration } = this._actionOpts()
+
+    if (kind === 'details') {
+      return this._respond(payload, { response_type: 'ephemeral', replace_original: false, text: this._formatErrorDetails(errorKey) })
+    }
+
+    let notice
+    if (kind === 'ack') {
+      this._acks.set(errorKey, { user, at: Date.now() })
+      notice = `Acknowledged by ${user} at ${formatTime(new Date())}`
+    } else {
+      this.mute(parseErrorKey(errorKey), muteDuration)
+      notice = `Muted for ${formatDuration(muteDuration)} by ${user}`
+    }
+    this.emit('action', { action: kind, errorKey, user: payload.user })
+
+    if (payload.message) {
+      await this._respond(payload, { replace_original: true, ...replaceBlock(payload.message, action.block_id, notice) })
+    }
+  }
+
+  _formatErrorDetails (errorKey) {
+    const details = this._reportedErrors.get(errorKey)
+
+    let text = `*${details.errorMessage}* (${details.sourceName}, ${details.count}x)\n`
+    if (details.stack) text += `\`\`\`\n${details.stack}\n\`\`\`\n`
+    for (const { payload, extras } of details.payloads) {
+      text += `\`\`\`\n${JSON.stringify(payload, null, 2)}\n\`\`\`\n`
+      if (Array.isArray(extras) && extras.length) {
+        text += `Extras: \`${JSON.stringify(extras)}\`\n`
+      }
+    }
+
+    return truncate(text, MAX_TEXT_LENGTH)
+  }
+
+  // reply through the response_url of the interaction
+  async _respond (payload, body) {
+    if (!payload.response_url) return
+
+    const res = await postJson(payload.response_url, body, { timeout: this.conf.timeout || 10000 })
+    if (res.statusCode !== 200) {
+      throw httpError(res.statusCode, `interaction response failed with status ${res.statusCode}`)
+    }
+  }
+
+  /**
+   * Silence messages matching a pattern, suppressed messages are counted per
+   * channel and reported when the mute ends
+   * @param {string|RegExp|Object} pattern - Matched against channel, sourceName and error
+   *   fingerprint, see utils/mute
+   * @param {number} durationMs - Mute duration
+   * @returns {number} Mute id
+   */
+  mute (pattern, durationMs) {
+    if (!(durationMs > 0)) {
+      throw new Error('durationMs is required and must be greater than 0')
+    }
+
+    const matcher = createMuteMatcher(pattern)
+    const id = ++this._muteSeq
+    const now = Date.now()
+    const mute = { id, pattern, matcher, createdAt: now, expiresAt: now + durationMs, suppressed: new Map() }
+
+    mute.timer = setTimeout(() => {
+      this.unmute(id)
+    }, durationMs)
+    mute.timer.unref()
+
+    this._mutes.set(id, mute)
+    return id
+  }
+
+  /**
+   * End a mute and report what it suppressed
+   * @param {number} [id] - Mute id, all mutes are removed when omitted
+   */
+  async unmute (id) {
+    const ids = id === undefined ? Array.from(this._mutes.keys()) : [id]
+
+    for (const muteId of ids) {
+      const mute = this._mutes.get(muteId)
+      if (!mute) continue
+
+      clearTimeout(mute.timer)
+      this._mutes.delete(muteId)
+      await this._sendMuteSummary(mute)
+    }
+  }
+
+  listMutes () {
+    return Array.from(this._mutes.values()).map(({ id, pattern, createdAt, expiresAt, suppressed }) => ({
+      id,
+      pattern,
+      createdAt: new Date(createdAt),
+      expiresAt: new Date(expiresAt),
+      suppressed: Array.from(suppressed.values()).reduce((acc, count) => acc + count, 0)
+    }))
+  }
+
+  _isMuted (target) {
+    if (!this._mutes.size) return false
+
+    for (const mute of this._mutes.values()) {
+      if (mute.matcher(target)) {
+        mute.suppressed.set(target.channel, (mute.suppressed.get(target.channel) || 0) + 1)
+        this._metrics.inc('muted', target)
+        return true
+      }
+    }
+
+    return false
+  }
+
+  async _sendMuteSummary (mute) {
+    const label = describeMutePattern(mute.pattern)
+    const duration = formatDuration(Date.now() - mute.createdAt)
+
+    for (const [channel, count] of mute.suppressed) {
+      try {
+        await this.message(channel, `Mute on "${label}" ended: ${count} messages suppressed over ${duration}`, { dedup: false })
+      } catch (err) {
+        console.error('Failed to send mute summary', err)
+      }
+    }
+  }
+
+  /**
+   * Report uncaught exceptions, unhandled rejections and process warnings
+   * with logError. On a crash delivery and a final batch flush are awaited,
+   * up to opts.timeout, before the process exits with code 1
+   * @param {Object} [opts]
+   * @param {string} [opts.channel] - Defaults to the error channel
+   * @param {number} [opts.timeout] - Max ms to wait for delivery, defaults to 5000
+   * @param {boolean} [opts.exitOnRejection] - Exit on unhandled rejections like node does, defaults to true
+   * @param {boolean} [opts.warnings] - Report process warnings, defaults to true
+   * @returns {Function} Removes the handlers
+   */
+  installProcessHandlers (opts = {}) {
+    this.uninstallProcessHandlers()
+
+    const { channel = null, timeout = 5000, exitOnRejection = true, warnings = true } = opts
+
+    const handlers = {
+      uncaughtException: (err) => this._reportCrash(channel, 'uncaughtException', err, timeout),
+      unhandledRejection: (reason) => exitOnRejection
+        ? this._reportCrash(channel, 'unhandledRejection', reason, timeout)
+        : this._reportProcessEvent(channel, 'unhandledRejection', reason)
+    }
+    if (warnings) {
+      handlers.warning = (warning) => this._reportProcessEvent(channel, 'warning', warning)
+    }
+
+    for (const [event, handler] of Object.entries(handlers)) {
+      process.on(event, handler)
+    }
+    this._processHandlers = handlers
+
+    return () => this.uninstallProcessHandlers()
+  }
+
+  uninstallProcessHandlers () {
+    if (!this._processHandlers) return
+
+    for (const [event, handler] of Object.entries(this._processHandlers)) {
+      process.removeListener(event, handler)
+    }
+    this._processHandlers = null
+  }
+
+  _processContext (event) {
+    return {
+      event,
+      host: os.hostname(),
+      pid: process.pid,
+      uptime: formatDuration(process.uptime() * 1000)
+    }
+  }
+
+  async _reportProcessEvent (channel, event, err) {
+    try {
+      await this.logError(channel, err, this._processContext(event))
+    } catch (e) {
+      console.error(`Failed to report ${event}`, e)
+    }
+  }
+
+  async _reportCrash (channel, event, err, timeout) {
+    console.error(err)
+
+    // a second crash while reporting the first one exits with the pending report
+    if (this._crashing) return
+    this._crashing = true
+
+    // while crashing messages skip the rate limiter (see _dispatch), the
+    // queued ones are sent right away alongside the crash report
+    const report = async () => {
+      await Promise.all([
+        this._flushRateLimited(),
+        this._reportProcessEvent(channel, event, err)
+      ])
+      await this._processBatchedErrors()
+    }
+
+    let timer
+    await Promise.race([
+      report().catch(e => console.error('Failed to flush slack messages before exit', e)),
+      new Promise((resolve) => {
+        timer = setTimeout(resolve, timeout)
+      })
+    ])
+    clearTimeout(timer)
+
+    process.exit(1)
+  }
+
+  /**
+   * Captured messages and query helpers when the capture transport is used,
+   * see transports/capture
+   */
+  getCapture () {
+    return this._transport instanceof CaptureTransport ? this._transport : null
+  }
+
+  /**
+   * Counters and send latency histograms, in total and per channel and source
+   */
+  getStats () {
+    return this._metrics.toJSON()
+  }
+
+  /**
+   * Stats in the Prometheus text exposition format
+   * @param {string} [prefix] - Metric name prefix, defaults to grc_slack
+   */
+  getPrometheusMetrics (prefix) {
+    return this._metrics.toPrometheus(prefix)
   }
 
   _formatTimeRange (earliestTime, latestTime) {
@@ -1,7 +1,12 @@
 /* eslint-env jest */
+/* global AggregateError */
 
 'use strict'
 
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
 const LRU = require('bfx-facs-lru')
 
 const { FacCaller } = require('./helper')
@@ -15,6 +20,19 @@ describe('GrcSlack Batch Error Logging', () => {
 
   const facCaller = new FacCaller(__dirname)
 
+  const createInstance = (conf, opts = {}) => {
+    const caller = new FacCaller(__dirname)
+    caller.grc_bfx = { req: jest.fn().mockResolvedValue(undefined) }
+    const instance = new GrcSlack(caller, { conf: { ...mockConf, errorBatching: undefined, ...conf }, ...opts }, {})
+    if (instance._deadLetterTimer) clearInterval(instance._deadLetterTimer)
+    if (instance._errorBatchTimer) clearInterval(instance._errorBatchTimer)
+    return instance
+  }
+
+  const texts = (instance) => instance.caller.grc_bfx.req.mock.calls.map(([, , send]) => send[0].text)
+  const payloads = (instance) => instance.caller.grc_bfx.req.mock.calls.map(([, , send]) => send[0])
+  const sentTo = (instance) => instance.caller.grc_bfx.req.mock.calls.map(([, , send]) => send[0].channel)
+
   beforeAll(async () => {
     lru = new LRU(facCaller, { max: 2048, maxAge: 15000 }, { env: 'test' })
 
@@ -121,10 +139,10 @@ describe('GrcSlack Batch Error Logging', () => {
 
       await grcSlack.logErrorEnqueue('test-channel', err, 'testFunction', payload)
 
-      expect(grcSlack._errorBatch.cache.length).toBe(1)
+      expect(grcSlack._errorBatch.size).toBe(1)
 
-      const entries = Object.values(grcSlack._errorBatch.cache.cache)
-      const entry = entries[0].value
+      const entries = grcSlack._errorBatch.values()
+      const entry = entries[0]
 
       expect(entry.errorMessage).toBe('Test error')
       expect(entry.sourceName).toBe('testFunction')
@@ -141,8 +159,8 @@ describe('GrcSlack Batch Error Logging', () => {
 
       await grcSlack.logErrorEnqueue('chan', err, 'src', payload, extra1, extra2)
 
-      const entries = Object.values(grcSlack._errorBatch.cache.cache)
-      const entry = entries[0].value
+      const entries = grcSlack._errorBatch.values()
+      const entry = entries[0]
 
       expect(entry.payloads.length).toBe(1)
       expect(Array.isArray(entry.payloads[0].extras)).toBe(true)
@@ -159,17 +177,17 @@ describe('GrcSlack Batch Error Logging', () => {
       await grcSlack.logErrorEnqueue('test-channel', err, 'testFunction', payload1)
       await grcSlack.logErrorEnqueue('test-channel', err, 'testFunction', payload2)
 
-      expect(grcSlack._errorBatch.cache.length).toBe(1)
+      expect(grcSlack._errorBatch.size).toBe(1)
 
-      const entries = Object.values(grcSlack._errorBatch.cache.cache)
-      const entry = entries[0].value
+      const entries = grcSlack._errorBatch.values()
+      const entry = entries[0]
 
       expect(entry.count).toBe(2)
       expect(entry.payloads.length).toBe(2)
     })
 
     it('should fall back to direct logging on error', async () => {
-      const logErrorSpy = jest.spyOn(grcSlack, 'logError').mockResolvedValue(undefined)
+      const logErrorSpy = jest.spyOn(grcSlack, '_logError').mockResolvedValue(undefined)
 
       const originalCreateErrorKey = grcSlack._createErrorKey
       grcSlack._createErrorKey = jest.fn(() => { throw new Error('Test error') })
@@ -221,11 +239,11 @@ describe('GrcSlack Batch Error Logging', () => {
       const err = new Error('Test error')
       await grcSlack.logErrorEnqueue('test', err, 'func1', { to: 'test' })
 
-      expect(grcSlack._errorBatch.cache.length).toBe(1)
+      expect(grcSlack._errorBatch.size).toBe(1)
 
       await grcSlack._processBatchedErrors()
 
-      expect(grcSlack._errorBatch.cache.length).toBe(0)
+      expect(grcSlack._errorBatch.size).toBe(0)
     })
 
     it('should handle processing errors gracefully and clear batch', async () => {
@@ -239,7 +257,7 @@ describe('GrcSlack Batch Error Logging', () => {
       await grcSlack._processBatchedErrors()
 
       expect(consoleSpy).toHaveBeenCalledWith('Failed to process batched errors', expect.any(Error))
-      expect(grcSlack._errorBatch.cache.length).toBe(0)
+      expect(grcSlack._errorBatch.size).toBe(0)
 
       consoleSpy.mockRestore()
       batchSendSpy.mockRestore()
@@ -248,7 +266,7 @@ describe('GrcSlack Batch Error Logging', () => {
 
   describe('_sendBatchedErrorMessage', () => {
     it('should format batch message correctly', async () => {
-      const logErrorSpy = jest.spyOn(grcSlack, 'logError').mockResolvedValue(undefined)
+      const logErrorSpy = jest.spyOn(grcSlack, '_logError').mockResolvedValue(undefined)
 
       const firstSeen = new Date('2023-01-01T10:00:00Z')
       const lastSeen = new Date('2023-01-01T10:05:00Z')
@@ -280,7 +298,7 @@ describe('GrcSlack Batch Error Logging', () => {
     })
 
     it('should include extras in message when present', async () => {
-      const logErrorSpy = jest.spyOn(grcSlack, 'logError').mockResolvedValue(undefined)
+      const logErrorSpy = jest.spyOn(grcSlack, '_logError').mockResolvedValue(undefined)
 
       const now = new Date()
       const errors = [
@@ -305,7 +323,7 @@ describe('GrcSlack Batch Error Logging', () => {
     })
 
     it('should truncate long messages', async () => {
-      const logErrorSpy = jest.spyOn(grcSlack, 'logError').mockResolvedValue(undefined)
+      const logErrorSpy = jest.spyOn(grcSlack, '_logError').mockResolvedValue(undefined)
 
       grcSlack.conf.errorBatching.maxMessageLength = 200
 
@@ -337,11 +355,27 @@ describe('GrcSlack Batch Error Logging', () => {
       grcSlack.conf.errorBatching.maxMessageLength = mockConf.errorBatching.maxMessageLength
       logErrorSpy.mockRestore()
     })
+
+    it('should keep the error message and leave out stacks and payloads first', async () => {
+      const instance = createInstance({ errorBatching: { interval: 60000, maxMessageLength: 300 } })
+      const logErrorSpy = jest.spyOn(instance, '_logError').mockResolvedValue(undefined)
+
+      await instance.logErrorEnqueue('ch', new Error('order book desync'), 'matcher', { data: 'x'.repeat(500) })
+      await instance.logErrorEnqueue('ch', new Error('price feed stale'), 'matcher', { data: 'y'.repeat(500) })
+      await instance._processBatchedErrors()
+
+      const [, message] = logErrorSpy.mock.calls[0]
+      expect(message.length).toBeLessThanOrEqual(300)
+      expect(message).toContain('• *order book desync* (1x)')
+      expect(message).toContain('• *price feed stale* (1x)')
+      expect(message).not.toContain('xxx')
+      expect(message).toContain('... message truncated (stacks and payloads omitted)')
+    })
   })
 
   describe('Integration Tests', () => {
     it('should handle complete batching workflow', async () => {
-      const logErrorSpy = jest.spyOn(grcSlack, 'logError').mockResolvedValue(undefined)
+      const logErrorSpy = jest.spyOn(grcSlack, '_logError').mockResolvedValue(undefined)
 
       const err1 = new Error('Database connection failed')
       const err2 = new Error('API timeout')
@@ -362,7 +396,7 @@ describe('GrcSlack Batch Error Logging', () => {
     })
 
     it('should handle different channels correctly', async () => {
-      const logErrorSpy = jest.spyOn(grcSlack, 'logError').mockResolvedValue(undefined)
+      const logErrorSpy = jest.spyOn(grcSlack, '_logError').mockResolvedValue(undefined)
 
       const err = new Error('Test error')
 
@@ -388,10 +422,10 @@ describe('GrcSlack Batch Error Logging', () => {
       await grcSlack.logErrorEnqueue(undefined, err, 'func2', payload)
       await grcSlack.logErrorEnqueue('', err, 'func3', payload)
 
-      expect(grcSlack._errorBatch.cache.length).toBe(3)
+      expect(grcSlack._errorBatch.size).toBe(3)
 
-      const entries = Object.values(grcSlack._errorBatch.cache.cache)
-      entries.forEach(({ value: entry }) => {
+      const entries = grcSlack._errorBatch.values()
+      entries.forEach((entry) => {
         expect(entry.reqChannel).toBe('default-channel')
       })
     })
@@ -409,7 +443,7 @@ describe('GrcSlack Batch Error Logging', () => {
         .resolves.not.toThrow()
 
       // Verify entries were created
-      expect(grcSlack._errorBatch.cache.length).toBe(2)
+      expect(grcSlack._errorBatch.size).toBe(2)
     })
   })
 
@@ -461,4 +495,2192 @@ describe('GrcSlack Batch Error Logging', () => {
       spy.mockRestore()
     })
   })
+
+  describe('Retry and dead letter queue', () => {
+    const retryConf = { attempts: 3, minDelay: 1, maxDelay: 5, jitter: 0 }
+
+    it('should send once without retry config', async () => {
+      const instance = createInstance()
+      instance.caller.grc_bfx.req.mockRejectedValue(new Error('ERR_TIMEOUT'))
+
+      await expect(instance.message('ch', 'hello')).rejects.toThrow('ERR_TIMEOUT')
+      expect(instance.caller.grc_bfx.req).toHaveBeenCalledTimes(1)
+    })
+
+    it('should retry retryable errors until success', async () => {
+      const instance = createInstance({ retry: retryConf })
+      instance.caller.grc_bfx.req
+        .mockRejectedValueOnce(new Error('ERR_TIMEOUT'))
+        .mockRejectedValueOnce(new Error('ERR_GRAPE_LOOKUP_EMPTY'))
+        .mockResolvedValueOnce('ok')
+
+      await expect(instance.message('ch', 'hello')).resolves.toBe('ok')
+      expect(instance.caller.grc_bfx.req).toHaveBeenCalledTimes(3)
+    })
+
+    it('should not retry non retryable errors', async () => {
+      const instance = createInstance({ retry: retryConf })
+      instance.caller.grc_bfx.req.mockRejectedValue(new Error('channel_not_found'))
+
+      await expect(instance.message('ch', 'hello')).rejects.toThrow('channel_not_found')
+      expect(instance.caller.grc_bfx.req).toHaveBeenCalledTimes(1)
+    })
+
+    it('should queue exhausted messages and redeliver them on drain', async () => {
+      const instance = createInstance({ retry: retryConf, deadLetter: { maxSize: 10, interval: 1000 } })
+      instance.caller.grc_bfx.req.mockRejectedValue(new Error('ERR_TIMEOUT'))
+
+      await expect(instance.message('ch', 'hello')).rejects.toThrow('ERR_TIMEOUT')
+      expect(instance.getDeadLetterStats()).toEqual({ size: 1, queued: 1, redelivered: 0, dropped: 0 })
+
+      instance.caller.grc_bfx.req.mockResolvedValue('ok')
+      await instance._drainDeadLetters()
+
+      expect(instance.getDeadLetterStats()).toEqual({ size: 0, queued: 1, redelivered: 1, dropped: 0 })
+      expect(instance.caller.grc_bfx.req).toHaveBeenLastCalledWith(
+        'rest:ext:slack', 'postSlackMsg', [{ channel: 'ch', text: 'Env: test, hello' }], { timeout: 10000 })
+    })
+
+    it('should drop oldest entries when the queue is full', async () => {
+      const instance = createInstance({ deadLetter: { maxSize: 2, interval: 1000 } })
+      instance.caller.grc_bfx.req.mockRejectedValue(new Error('ECONNREFUSED'))
+
+      for (const msg of ['a', 'b', 'c']) {
+        await expect(instance.message('ch', msg)).rejects.toThrow()
+      }
+
+      expect(instance.getDeadLetterStats()).toEqual({ size: 2, queued: 3, redelivered: 0, dropped: 1 })
+      expect(instance._deadLetters[0].send[0].text).toBe('Env: test, b')
+    })
+
+    it('should flush the queue during shutdown', async () => {
+      const instance = createInstance({ deadLetter: { maxSize: 10, interval: 1000 } })
+      instance.caller.grc_bfx.req.mockRejectedValueOnce(new Error('ERR_TIMEOUT')).mockResolvedValue('ok')
+
+      await expect(instance.message('ch', 'hello')).rejects.toThrow()
+      await new Promise((resolve) => instance._stop(resolve))
+
+      expect(instance.getDeadLetterStats()).toEqual({ size: 0, queued: 1, redelivered: 1, dropped: 0 })
+    })
+
+    it('should validate dead letter config', () => {
+      expect(() => createInstance({ deadLetter: { maxSize: 0, interval: 1000 } }))
+        .toThrow('deadLetter.maxSize is required and must be greater than 0')
+    })
+  })
+
+  describe('Structured messages', () => {
+    it('should keep plain text payloads unchanged', () => {
+      const instance = createInstance()
+      expect(instance._buildPayload('ch', 'hello')).toEqual({ channel: 'ch', text: 'Env: test, hello' })
+    })
+
+    it('should serialize header, sections, fields and context into blocks', () => {
+      const instance = createInstance()
+      const payload = instance._buildPayload('ch', {
+        header: 'Deploy finished',
+        sections: ['*service* api', 'divider', { text: 'details', fields: ['*a*', '*b*'] }],
+        context: 'by ci'
+      })
+
+      expect(payload.channel).toBe('ch')
+      expect(payload.text).toBe('Env: test, Deploy finished')
+      expect(payload.attachments).toBeUndefined()
+      expect(payload.blocks.map(b => b.type)).toEqual(['header', 'section', 'divider', 'section', 'context'])
+      expect(payload.blocks[3].fields).toEqual([{ type: 'mrkdwn', text: '*a*' }, { type: 'mrkdwn', text: '*b*' }])
+      expect(payload.blocks[4].elements.map(el => el.text)).toEqual(['by ci', 'Env: test'])
+    })
+
+    it('should wrap blocks in a color coded attachment by severity', () => {
+      const instance = createInstance()
+      const payload = instance._buildPayload('ch', { header: 'Down', severity: 'critical' })
+
+      expect(payload.blocks).toBeUndefined()
+      expect(payload.attachments[0].color).toBe('#8B0000')
+      expect(payload.attachments[0].blocks[0].type).toBe('header')
+    })
+
+    it('should render the batched report as blocks when enabled', async () => {
+      const instance = createInstance()
+      instance.conf.errorBatching = { interval: 5000, maxMessageLength: 4000, blocks: true }
+
+      const now = new Date()
+      const errors = [
+        { errorMessage: 'Err A', count: 2, payloads: [{ payload: { id: 1 }, extras: ['x'] }], firstSeen: now, lastSeen: now },
+        { errorMessage: 'Err B', count: 1, payloads: [{ payload: { id: 2 }, extras: [] }], firstSeen: now, lastSeen: now }
+      ]
+
+      await instance._sendBatchedErrorMessage('ch', 'src', errors, 3, now.getTime(), now.getTime())
+
+      const [[, , send]] = instance.caller.grc_bfx.req.mock.calls
+      const { blocks, color } = send[0].attachments[0]
+      expect(color).toBe('#D00000')
+      expect(send[0].text).toContain('Batched Error Report - src: 3 errors across 2 types')
+      expect(blocks[0].text.text).toBe('Batched Error Report - src')
+      expect(blocks[3].text.text).toBe('• *Err A* (2x)')
+      expect(blocks[3].fields.length).toBe(2)
+      expect(blocks[4].text.text).toBe('• *Err B* (1x)')
+      expect(blocks[4].fields.length).toBe(1)
+    })
+  })
+
+  describe('Severity levels', () => {
+    const levels = {
+      minLevel: { test: 'warn', default: 'info' },
+      channels: { warn: 'warn-channel', critical: 'pager-channel' },
+      sources: { dbConnect: 'db-channel', apiCall: { critical: 'api-pager' } }
+    }
+
+    it('should skip messages below the env threshold', async () => {
+      const instance = createInstance({ levels })
+
+      await expect(instance.info('ch', 'starting')).resolves.toBe(false)
+      expect(instance.caller.grc_bfx.req).not.toHaveBeenCalled()
+
+      await instance.warn('ch', 'slow')
+      expect(instance.caller.grc_bfx.req).toHaveBeenCalledTimes(1)
+    })
+
+    it('should fall back to the default threshold for other envs', async () => {
+      const instance = createInstance({ levels, env: 'dev' })
+
+      await instance.info('ch', 'starting')
+      expect(instance.caller.grc_bfx.req).toHaveBeenCalledTimes(1)
+    })
+
+    it('should route by level and source when no channel is given', async () => {
+      const instance = createInstance({ levels })
+
+      await instance.warn(null, 'slow')
+      await instance.critical(null, 'down')
+      await instance.error(null, 'failed')
+      await instance.error({ sourceName: 'dbConnect' }, 'failed')
+      await instance.critical({ sourceName: 'apiCall' }, 'down')
+      await instance.warn({ sourceName: 'apiCall' }, 'slow')
+      await instance.critical({ channel: 'explicit', sourceName: 'apiCall' }, 'down')
+
+      expect(sentTo(instance)).toEqual([
+        'warn-channel', 'pager-channel', 'default-channel', 'db-channel', 'api-pager', 'warn-channel', 'explicit'
+      ])
+    })
+
+    it('should tag plain messages with level and source', async () => {
+      const instance = createInstance()
+
+      await instance.warn({ channel: 'ch', sourceName: 'apiCall' }, 'slow response', { ms: 900 })
+
+      const [[, , send]] = instance.caller.grc_bfx.req.mock.calls
+      expect(send[0].text).toBe('Env: test, [WARN] apiCall: Extra: { ms: 900 }, slow response')
+    })
+
+    it('should color structured messages by level', async () => {
+      const instance = createInstance()
+
+      await instance.critical('ch', { header: 'Exchange down' })
+
+      const [[, , send]] = instance.caller.grc_bfx.req.mock.calls
+      expect(send[0].attachments[0].color).toBe('#8B0000')
+    })
+
+    it('should apply the threshold and routing to logError', async () => {
+      const instance = createInstance({ levels: { minLevel: 'critical' } })
+      await expect(instance.logError(null, new Error('boom'))).resolves.toBe(false)
+
+      const routed = createInstance({ levels: { channels: { error: 'errors' } } })
+      await routed.logError(null, new Error('boom'))
+      expect(sentTo(routed)).toEqual(['errors'])
+    })
+
+    it('should apply the threshold to block batched reports', async () => {
+      const instance = createInstance({ levels: { minLevel: 'critical' } })
+      instance.conf.errorBatching = { interval: 5000, maxMessageLength: 4000, blocks: true }
+      const now = Date.now()
+      const errors = [{ errorMessage: 'Err A', count: 1, payloads: [], firstSeen: new Date(now), lastSeen: new Date(now) }]
+
+      await expect(instance._sendBatchedErrorMessage('ch', 'src', errors, 1, now, now)).resolves.toBe(false)
+      expect(instance.caller.grc_bfx.req).not.toHaveBeenCalled()
+    })
+
+    it('should reject unknown levels', async () => {
+      const instance = createInstance()
+
+      await expect(instance.log('debug', 'ch', 'x')).rejects.toThrow('Unknown level debug')
+      expect(() => createInstance({ levels: { minLevel: 'verbose' } }))
+        .toThrow('levels.minLevel must be one of info, warn, error, critical')
+      expect(() => createInstance({ levels: { channels: { fatal: 'x' } } }))
+        .toThrow('levels.channels contains unknown level fatal')
+    })
+  })
+
+  describe('Rate limiting', () => {
+    const rateLimit = { rate: 1, burst: 2, maxQueue: 2 }
+
+    beforeEach(() => {
+      jest.useFakeTimers()
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    it('should queue messages over the burst and collapse overflow into a notice', async () => {
+      const instance = createInstance({ rateLimit })
+
+      const results = ['m1', 'm2', 'm3', 'm4', 'm5', 'm6'].map(msg => instance.message('ch', msg))
+
+      await expect(results[4]).resolves.toBe(false)
+      await expect(results[5]).resolves.toBe(false)
+      expect(texts(instance)).toEqual(['Env: test, m1', 'Env: test, m2'])
+
+      await jest.advanceTimersByTimeAsync(1000)
+      expect(texts(instance)).toEqual(['Env: test, m1', 'Env: test, m2', 'Env: test, m3'])
+
+      await jest.advanceTimersByTimeAsync(2000)
+      expect(texts(instance)).toEqual([
+        'Env: test, m1', 'Env: test, m2', 'Env: test, m3', 'Env: test, m4',
+        'Env: test, 2 messages suppressed by rate limiting'
+      ])
+
+      await Promise.all(results)
+    })
+
+    it('should limit each channel separately', async () => {
+      const instance = createInstance({ rateLimit: { ...rateLimit, burst: 1 } })
+
+      await instance.message('ch1', 'a')
+      await instance.message('ch2', 'b')
+      instance.message('ch1', 'c')
+
+      expect(instance.caller.grc_bfx.req).toHaveBeenCalledTimes(2)
+      await instance._flushRateLimited()
+    })
+
+    it('should flush queued messages and notices during shutdown', async () => {
+      const instance = createInstance({ rateLimit: { ...rateLimit, burst: 1, maxQueue: 1 } })
+
+      const results = ['m1', 'm2', 'm3'].map(msg => instance.message('ch', msg))
+      await new Promise((resolve) => instance._stop(resolve))
+
+      expect(texts(instance)).toEqual([
+        'Env: test, m1', 'Env: test, m2', 'Env: test, 1 messages suppressed by rate limiting'
+      ])
+      await Promise.all(results)
+    })
+
+    it('should redeliver dead letters through the rate limiter', async () => {
+      const instance = createInstance({ rateLimit: { ...rateLimit, burst: 1, maxQueue: 1 }, deadLetter: { maxSize: 10, interval: 1000 } })
+      instance.caller.grc_bfx.req.mockRejectedValue(new Error('ECONNREFUSED'))
+
+      await expect(instance.message('ch', 'a')).rejects.toThrow()
+      await jest.advanceTimersByTimeAsync(1000)
+      await expect(instance.message('ch', 'b')).rejects.toThrow()
+      instance.caller.grc_bfx.req.mockReset().mockResolvedValue('ok')
+
+      // the channel queue is full, the letters wait for the next drain instead of being suppressed
+      await jest.advanceTimersByTimeAsync(1000)
+      const live = [instance.message('ch', 'c'), instance.message('ch', 'd')]
+      await instance._drainDeadLetters()
+      expect(instance.getDeadLetterStats()).toEqual({ size: 2, queued: 2, redelivered: 0, dropped: 0 })
+
+      await jest.advanceTimersByTimeAsync(1000)
+      const drain = instance._drainDeadLetters()
+      await jest.advanceTimersByTimeAsync(1000)
+      expect(texts(instance)).toEqual(['Env: test, c', 'Env: test, d', 'Env: test, a'])
+
+      await jest.advanceTimersByTimeAsync(1000)
+      await drain
+      expect(texts(instance)).toEqual(['Env: test, c', 'Env: test, d', 'Env: test, a', 'Env: test, b'])
+      expect(instance.getDeadLetterStats()).toEqual({ size: 0, queued: 2, redelivered: 2, dropped: 0 })
+      expect(instance._getRateLimiter('ch').suppressed).toBe(0)
+      await Promise.all(live)
+    })
+
+    it('should validate rate limit config', () => {
+      expect(() => createInstance({ rateLimit: { rate: 1, burst: 0, maxQueue: 1 } }))
+        .toThrow('rateLimit.burst is required and must be at least 1')
+    })
+  })
+
+  describe('Message splitting', () => {
+    it('should truncate long messages when splitting is disabled', async () => {
+      const instance = createInstance({ max_length: 50 })
+
+      await instance.message('ch', 'a'.repeat(100))
+
+      expect(texts(instance)).toEqual(['Env: test, ' + 'a'.repeat(39)])
+    })
+
+    it('should post long messages in numbered parts on line boundaries', async () => {
+      const instance = createInstance({ max_length: 60, split: {} })
+      const lines = ['first line of the report', 'second line of the report', 'third line of the report']
+
+      const results = await instance.message('ch', lines.join('\n'))
+
+      expect(results.length).toBe(3)
+      expect(texts(instance)).toEqual([
+        'Env: test, (1/3) first line of the report',
+        'Env: test, (2/3) second line of the report',
+        'Env: test, (3/3) third line of the report'
+      ])
+    })
+
+    it('should never split inside a code fence', async () => {
+      const instance = createInstance({ max_length: 80, split: {} })
+      const stack = ['at one (a.js:1:1)', 'at two (b.js:2:2)', 'at three (c.js:3:3)']
+      const text = `Error: boom\n\`\`\`\n${stack.join('\n')}\n\`\`\``
+
+      await instance.message('ch', text)
+
+      for (const part of texts(instance)) {
+        expect(part.length).toBeLessThanOrEqual(80)
+        expect(part.split('```').length % 2).toBe(1)
+      }
+      expect(texts(instance).join('\n')).toContain('at three (c.js:3:3)')
+    })
+
+    it('should cap the number of parts', async () => {
+      const instance = createInstance({ max_length: 60, split: { maxParts: 2 } })
+
+      await instance.message('ch', Array.from({ length: 5 }, (_, i) => `line number ${i} of the report`).join('\n'))
+
+      expect(texts(instance)).toEqual([
+        'Env: test, (1/2) line number 0 of the report',
+        'Env: test, (2/2) ... message truncated (4 more parts)'
+      ])
+    })
+
+    it('should thread parts under the first message', async () => {
+      const instance = createInstance({ max_length: 40, split: { thread: true } })
+      instance.caller.grc_bfx.req.mockResolvedValueOnce({ ok: true, ts: '1700000000.000100' })
+
+      await instance.message('ch', 'first line here\nsecond line here')
+
+      const [first, second] = payloads(instance)
+      expect(first.thread_ts).toBeUndefined()
+      expect(second.thread_ts).toBe('1700000000.000100')
+    })
+
+    it('should not truncate the batched report in split mode', async () => {
+      const instance = createInstance({ max_length: 200, split: {} })
+      instance.conf.errorBatching = { interval: 5000, maxMessageLength: 100 }
+
+      const now = new Date()
+      const errors = ['A', 'B', 'C'].map(name => ({
+        errorMessage: `Error ${name}`,
+        count: 1,
+        payloads: [{ payload: { data: 'x'.repeat(50) }, extras: [] }],
+        firstSeen: now,
+        lastSeen: now
+      }))
+
+      await instance._sendBatchedErrorMessage('ch', 'src', errors, 3, now.getTime(), now.getTime())
+
+      const sent = texts(instance).join('\n')
+      expect(sent).not.toContain('truncated')
+      expect(sent).toContain('Error C')
+    })
+  })
+
+  describe('Threaded error replies', () => {
+    let threadLru
+
+    const errorBatching = { interval: 5000, maxMessageLength: 4000, threads: { broadcastFactor: 3, broadcastMinCount: 5 } }
+
+    beforeAll(async () => {
+      threadLru = new LRU(facCaller, { max: 2048, maxAge: 15000 }, { env: 'test' })
+      await new Promise((resolve, reject) => threadLru.start((err) => err ? reject(err) : resolve()))
+    })
+
+    beforeEach(() => {
+      threadLru.clear()
+    })
+
+    it('should post repeated errors as replies to the first report', async () => {
+      const instance = createInstance({ errorBatching }, { lru: threadLru })
+      instance.caller.grc_bfx.req.mockResolvedValue({ ok: true, ts: '111.222' })
+
+      await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', { id: 1 })
+      await instance._processBatchedErrors()
+
+      await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', { id: 2 })
+      await instance.logErrorEnqueue('ch', new Error('api down'), 'dbConnect', { id: 3 })
+      await instance._processBatchedErrors()
+
+      const [first, reply, report] = payloads(instance)
+      expect(first.thread_ts).toBeUndefined()
+      expect(first.text).toContain('db down')
+      expect(reply.thread_ts).toBe('111.222')
+      expect(reply.reply_broadcast).toBeUndefined()
+      expect(reply.text).toContain('*db down* occurred again (1x')
+      expect(report.thread_ts).toBeUndefined()
+      expect(report.text).toContain('api down')
+      expect(report.text).not.toContain('db down')
+    })
+
+    it('should broadcast the reply when the count spikes', async () => {
+      const instance = createInstance({ errorBatching }, { lru: threadLru })
+      instance.caller.grc_bfx.req.mockResolvedValue({ ok: true, ts: '111.222' })
+
+      await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', { id: 1 })
+      await instance._processBatchedErrors()
+
+      for (let i = 0; i < 5; i++) {
+        await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', { id: i })
+      }
+      await instance._processBatchedErrors()
+
+      expect(payloads(instance)[1].reply_broadcast).toBe(true)
+    })
+
+    it('should start a new thread once the previous one expired', async () => {
+      const instance = createInstance({ errorBatching: { ...errorBatching, threads: { ttl: 1000 } } }, { lru: threadLru })
+      instance.caller.grc_bfx.req.mockResolvedValue({ ok: true, ts: '111.222' })
+
+      await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', { id: 1 })
+      await instance._processBatchedErrors()
+      instance._errorThreads.values().next().value.postedAt -= 2000
+
+      await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', { id: 2 })
+      await instance._processBatchedErrors()
+
+      expect(payloads(instance)[1].thread_ts).toBeUndefined()
+    })
+
+    it('should pass thread options through message()', async () => {
+      const instance = createInstance()
+
+      await instance.message('ch', 'reply', { threadTs: '1.2', broadcast: true })
+
+      expect(payloads(instance)[0]).toEqual({ channel: 'ch', text: 'Env: test, reply', thread_ts: '1.2', reply_broadcast: true })
+    })
+  })
+
+  describe('Transports', () => {
+    let server
+    let baseUrl
+    let requests
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let body = ''
+        req.on('data', (chunk) => { body += chunk })
+        req.on('end', () => {
+          const parsed = JSON.parse(body)
+          requests.push({ url: req.url, authorization: req.headers.authorization, body: parsed })
+
+          if (req.url === '/hook-down') {
+            res.statusCode = 503
+            return res.end('unavailable')
+          }
+          if (req.url.startsWith('/api/')) {
+            res.setHeader('Content-Type', 'application/json')
+            const data = parsed.channel === 'missing'
+              ? { ok: false, error: 'channel_not_found' }
+              : { ok: true, channel: parsed.channel, ts: '1700000000.000200' }
+            return res.end(JSON.stringify(data))
+          }
+          res.end('ok')
+        })
+      })
+
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+      baseUrl = `http://127.0.0.1:${server.address().port}`
+    })
+
+    afterAll(async () => {
+      await new Promise((resolve) => server.close(resolve))
+    })
+
+    beforeEach(() => {
+      requests = []
+    })
+
+    it('should use grenache by default', async () => {
+      const instance = createInstance()
+
+      await instance.message('ch', 'hello')
+
+      expect(instance.caller.grc_bfx.req).toHaveBeenCalledWith(
+        'rest:ext:slack', 'postSlackMsg', [{ channel: 'ch', text: 'Env: test, hello' }], { timeout: 10000 })
+    })
+
+    it('should post to an incoming webhook without the channel', async () => {
+      const instance = createInstance({ transport: { type: 'webhook', url: `${baseUrl}/hook` } })
+
+      await instance.message('ch', { header: 'Deploy finished' })
+
+      expect(instance.caller.grc_bfx.req).not.toHaveBeenCalled()
+      expect(requests.length).toBe(1)
+      expect(requests[0].url).toBe('/hook')
+      expect(requests[0].body.channel).toBeUndefined()
+      expect(requests[0].body.blocks[0].type).toBe('header')
+    })
+
+    it('should retry webhook server errors', async () => {
+      const instance = createInstance({
+        transport: { type: 'webhook', url: `${baseUrl}/hook-down` },
+        retry: { attempts: 2, minDelay: 1, maxDelay: 1 }
+      })
+
+      await expect(instance.message('ch', 'hello')).rejects.toThrow('status 503')
+      expect(requests.length).toBe(2)
+    })
+
+    it('should call chat.postMessage with the bot token and return the ts', async () => {
+      const instance = createInstance({ transport: { type: 'web-api', token: 'xoxb-test', baseUrl: `${baseUrl}/api` } })
+
+      const res = await instance.message('ch', 'hello', { threadTs: '1.1' })
+
+      expect(instance._messageTs(res)).toBe('1700000000.000200')
+      expect(requests[0].url).toBe('/api/chat.postMessage')
+      expect(requests[0].authorization).toBe('Bearer xoxb-test')
+      expect(requests[0].body).toEqual({ channel: 'ch', text: 'Env: test, hello', thread_ts: '1.1' })
+    })
+
+    it('should surface slack api errors without retrying', async () => {
+      const instance = createInstance({
+        transport: { type: 'web-api', token: 'xoxb-test', baseUrl: `${baseUrl}/api` },
+        retry: { attempts: 3, minDelay: 1, maxDelay: 1 }
+      })
+
+      await expect(instance.message('missing', 'hello')).rejects.toThrow('chat.postMessage failed: channel_not_found')
+      expect(requests.length).toBe(1)
+    })
+
+    it('should validate the transport config', () => {
+      expect(() => createInstance({ transport: { type: 'smtp' } }))
+        .toThrow('transport.type must be one of grenache, webhook, web-api')
+      expect(() => createInstance({ transport: { type: 'webhook' } }))
+        .toThrow('transport.url is required for the webhook transport')
+    })
+  })
+
+  describe('Redaction', () => {
+    it('should leave messages untouched when not configured', async () => {
+      const instance = createInstance()
+
+      await instance.logError('ch', new Error('failed'), { password: 'hunter2' })
+
+      expect(texts(instance)[0]).toContain('hunter2')
+    })
+
+    it('should redact secret keys and sensitive values in errors and extras', async () => {
+      // the stack is printed before the error properties
+      const instance = createInstance({ redact: {}, max_length: 10000 })
+      const err = new Error('login failed for bob@example.com')
+      err.headers = { Authorization: 'Bearer abc.def' }
+
+      await instance.logError('ch', err, { apiKey: 'k-123', card: '4111 1111 1111 1111', ts: 1700000000000 })
+
+      const [text] = texts(instance)
+      expect(text).toContain('login failed for [REDACTED]')
+      expect(text).toContain("Authorization: '[REDACTED]'")
+      expect(text).toContain("apiKey: '[REDACTED]'")
+      expect(text).toContain("card: '[REDACTED]'")
+      expect(text).toContain('1700000000000')
+      expect(text).not.toContain('bob@example.com')
+      expect(err.headers.Authorization).toBe('Bearer abc.def')
+    })
+
+    it('should only redact whole key words and card numbers', () => {
+      const instance = createInstance({ redact: {} })
+
+      const redacted = instance._redact({
+        passenger: 'p',
+        bypassCache: true,
+        sessionCount: 2,
+        tokenPair: 'tBTCUSD',
+        userPassword: 'hunter2',
+        'x-api-key': 'k',
+        accessToken: 't',
+        note: 'order 1760000000000 failed, card 4111-1111-1111-1111 and 378282246310005'
+      })
+
+      expect(redacted).toEqual({
+        passenger: 'p',
+        bypassCache: true,
+        sessionCount: 2,
+        tokenPair: 'tBTCUSD',
+        userPassword: '[REDACTED]',
+        'x-api-key': '[REDACTED]',
+        accessToken: '[REDACTED]',
+        note: 'order 1760000000000 failed, card [REDACTED] and [REDACTED]'
+      })
+    })
+
+    it('should apply custom keys, patterns and replacement', async () => {
+      const instance = createInstance({ redact: { defaults: false, keys: ['ssn'], patterns: ['acct-\\d+'], replacement: '***' } })
+
+      await instance.warn('ch', 'transfer from acct-42', { SSN: '123-45', to: 'bob@example.com' })
+
+      const [text] = texts(instance)
+      expect(text).toContain('transfer from ***')
+      expect(text).toContain("SSN: '***'")
+      expect(text).toContain('bob@example.com')
+    })
+
+    it('should redact payloads and extras before batching', async () => {
+      const redactLru = new LRU(facCaller, { max: 2048, maxAge: 15000 }, { env: 'test' })
+      await new Promise((resolve, reject) => redactLru.start((err) => err ? reject(err) : resolve()))
+      const instance = createInstance({ redact: {}, errorBatching: { interval: 5000, maxMessageLength: 4000 } }, { lru: redactLru })
+      const payload = { to: 'bob@example.com', token: 'xoxb-1-abc' }
+
+      await instance.logErrorEnqueue('ch', new Error('send failed'), 'mailer', payload, { secret: 's' })
+
+      const [entry] = instance._errorBatch.values()
+      expect(entry.payloads[0].payload).toEqual({ to: '[REDACTED]', token: '[REDACTED]' })
+      expect(entry.payloads[0].extras).toEqual([{ secret: '[REDACTED]' }])
+      expect(payload.to).toBe('bob@example.com')
+    })
+
+    it('should redact structured messages', async () => {
+      const instance = createInstance({ redact: {} })
+
+      await instance.message('ch', { header: 'Signup', sections: ['user bob@example.com'] })
+
+      const [[, , send]] = instance.caller.grc_bfx.req.mock.calls
+      expect(send[0].blocks[1].text.text).toBe('user [REDACTED]')
+    })
+  })
+
+  describe('Error fingerprinting', () => {
+    it('should group messages that only differ in volatile parts', () => {
+      const instance = createInstance()
+      const key = (msg) => instance._createErrorKey('ch', new Error(msg), 'src')
+
+      expect(key('timeout after 1532ms')).toBe(key('timeout after 1533ms'))
+      expect(key('order 123e4567-e89b-12d3-a456-426614174000 not found'))
+        .toBe(key('order 00000000-0000-4000-8000-000000000000 not found'))
+      expect(key('tx 5f2b8c9a1d3e4f5a not found')).toBe(key('tx 0a1b2c3d4e5f6789 not found'))
+      expect(key('unknown user "alice"')).toBe(key('unknown user "bob"'))
+      expect(key('timeout after 1532ms')).not.toBe(key('connection refused'))
+    })
+
+    it('should keep raw messages when normalization is disabled', () => {
+      const instance = createInstance({ errorBatching: { interval: 5000, maxMessageLength: 4000, fingerprint: { normalize: false } } })
+      const key = (msg) => instance._createErrorKey('ch', new Error(msg), 'src')
+
+      expect(key('timeout after 1532ms')).not.toBe(key('timeout after 1533ms'))
+    })
+
+    it('should distinguish errors by code', () => {
+      const instance = createInstance()
+      const err1 = Object.assign(new Error('request failed'), { code: 'ECONNRESET' })
+      const err2 = Object.assign(new Error('request failed'), { code: 'ETIMEDOUT' })
+
+      expect(instance._createErrorKey('ch', err1, 'src')).not.toBe(instance._createErrorKey('ch', err2, 'src'))
+    })
+
+    it('should optionally include the top stack frames', () => {
+      const instance = createInstance({ errorBatching: { interval: 5000, maxMessageLength: 4000, fingerprint: { stackFrames: 2 } } })
+      const fromA = () => new Error('boom')
+      const fromB = () => new Error('boom')
+
+      expect(instance._createErrorKey('ch', fromA(), 'src')).not.toBe(instance._createErrorKey('ch', fromB(), 'src'))
+      expect(instance._createErrorKey('ch', fromA(), 'src')).toBe(instance._createErrorKey('ch', fromA(), 'src'))
+    })
+
+    it('should use custom fingerprints per source', () => {
+      const instance = createInstance()
+      instance.setFingerprint('orders', (err) => err.orderType)
+
+      const err1 = Object.assign(new Error('order 1 failed'), { orderType: 'limit' })
+      const err2 = Object.assign(new Error('cancel failed'), { orderType: 'limit' })
+
+      const key = instance._createErrorKey('ch', err1, 'orders')
+      expect(key).toBe(instance._createErrorKey('ch', err2, 'orders'))
+      expect(key.split(':').length).toBe(3)
+      expect(instance._createErrorKey('ch', err1, 'other')).not.toBe(instance._createErrorKey('ch', err2, 'other'))
+      expect(() => instance.setFingerprint('orders', 'limit')).toThrow('fingerprint must be a function')
+    })
+  })
+
+  describe('Built-in batch store', () => {
+    const errorBatching = { interval: 5000, maxMessageLength: 4000 }
+
+    it('should batch without an lru facility', async () => {
+      const instance = createInstance({ errorBatching })
+
+      await instance.logErrorEnqueue('ch', new Error('boom'), 'src', { id: 1 })
+      await instance.logErrorEnqueue('ch', new Error('boom'), 'src', { id: 2 })
+
+      expect(instance._errorBatch.size).toBe(1)
+      expect(instance._errorBatch.values()[0].count).toBe(2)
+    })
+
+    it('should evict the least recently updated entry and report it in the next summary', async () => {
+      const instance = createInstance({ errorBatching: { ...errorBatching, maxSize: 2 } })
+
+      await instance.logErrorEnqueue('ch', new Error('first'), 'src', {})
+      await instance.logErrorEnqueue('ch', new Error('second'), 'src', {})
+      await instance.logErrorEnqueue('ch', new Error('first'), 'src', {})
+      await instance.logErrorEnqueue('ch', new Error('third'), 'src', {})
+
+      expect(instance._errorBatch.values().map(e => e.errorMessage)).toEqual(['first', 'third'])
+      expect(instance._errorBatch.evicted).toBe(1)
+
+      await instance._processBatchedErrors()
+
+      const [[, , send]] = instance.caller.grc_bfx.req.mock.calls
+      expect(send[0].text).toContain('1 error types were evicted from the batch')
+      expect(instance._errorBatch.evicted).toBe(0)
+    })
+
+    it('should support fifo and lfu eviction', async () => {
+      const fifo = createInstance({ errorBatching: { ...errorBatching, maxSize: 2, eviction: 'fifo' } })
+      const lfu = createInstance({ errorBatching: { ...errorBatching, maxSize: 2, eviction: 'lfu' } })
+
+      for (const instance of [fifo, lfu]) {
+        await instance.logErrorEnqueue('ch', new Error('first'), 'src', {})
+        await instance.logErrorEnqueue('ch', new Error('first'), 'src', {})
+        await instance.logErrorEnqueue('ch', new Error('second'), 'src', {})
+        await instance.logErrorEnqueue('ch', new Error('third'), 'src', {})
+      }
+
+      expect(fifo._errorBatch.values().map(e => e.errorMessage)).toEqual(['second', 'third'])
+      expect(lfu._errorBatch.values().map(e => e.errorMessage)).toEqual(['first', 'third'])
+    })
+
+    it('should accept a custom batch store', async () => {
+      const store = new Map()
+      const batchStore = {
+        get: (key) => store.get(key),
+        set: (key, entry) => store.set(key, entry),
+        values: () => Array.from(store.values()),
+        clear: () => store.clear(),
+        get size () { return store.size }
+      }
+      const instance = createInstance({ errorBatching }, { batchStore })
+
+      await instance.logErrorEnqueue('ch', new Error('boom'), 'src', {})
+      expect(store.size).toBe(1)
+
+      await instance._processBatchedErrors()
+      expect(store.size).toBe(0)
+      expect(instance.caller.grc_bfx.req).toHaveBeenCalledTimes(1)
+    })
+
+    it('should validate the store config', () => {
+      expect(() => createInstance({ errorBatching: { ...errorBatching, eviction: 'random' } }))
+        .toThrow('errorBatching.eviction must be one of lru, fifo, lfu')
+      expect(() => createInstance({ errorBatching: { ...errorBatching, maxSize: 0 } }))
+        .toThrow('errorBatching.maxSize must be greater than 0')
+    })
+  })
+
+  describe('Spool', () => {
+    let dir
+    let file
+
+    const errorBatching = { interval: 5000, maxMessageLength: 4000 }
+    const start = (instance) => new Promise((resolve, reject) => instance.start((err) => err ? reject(err) : resolve()))
+    const stop = (instance) => new Promise((resolve) => instance._stop(resolve))
+    const readSpool = () => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'grc-slack-'))
+      file = path.join(dir, 'spool', 'grc-slack.jsonl')
+    })
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('should append enqueued errors and replay them on start', async () => {
+      const instance = createInstance({ errorBatching, spool: { file } })
+      await start(instance)
+
+      await instance.logErrorEnqueue('ch', new Error('boom'), 'src', { id: 1 })
+      await instance.logErrorEnqueue('ch', new Error('boom'), 'src', { id: 2 })
+
+      expect(readSpool().map(record => record.t)).toEqual(['error', 'error'])
+
+      // simulate a crash: a new process starts from the same spool
+      const restarted = createInstance({ errorBatching, spool: { file } })
+      await start(restarted)
+
+      const [entry] = restarted._errorBatch.values()
+      expect(entry.count).toBe(2)
+      expect(entry.firstSeen).toBeInstanceOf(Date)
+      expect(entry.payloads.map(item => item.payload)).toEqual([{ id: 1 }, { id: 2 }])
+      expect(readSpool().map(record => record.t)).toEqual(['batch'])
+    })
+
+    it('should skip a partially written record', async () => {
+      const instance = createInstance({ errorBatching, spool: { file } })
+      await start(instance)
+      await instance.logErrorEnqueue('ch', new Error('boom'), 'src', { id: 1 })
+      fs.appendFileSync(file, '{"t":"error","key":"ch:src:abc","ent')
+
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation()
+      const restarted = createInstance({ errorBatching, spool: { file } })
+      await start(restarted)
+
+      expect(restarted._errorBatch.size).toBe(1)
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('Skipped 1 corrupt records'))
+      expect(fs.readFileSync(file, 'utf8').endsWith('\n')).toBe(true)
+      consoleSpy.mockRestore()
+    })
+
+    it('should compact the spool after the batch is delivered', async () => {
+      const instance = createInstance({ errorBatching, spool: { file } })
+      await start(instance)
+
+      await instance.logErrorEnqueue('ch', new Error('boom'), 'src', { id: 1 })
+      await instance._processBatchedErrors()
+
+      expect(instance.caller.grc_bfx.req).toHaveBeenCalledTimes(1)
+      expect(readSpool()).toEqual([])
+    })
+
+    it('should keep undelivered messages across restarts', async () => {
+      const conf = { deadLetter: { maxSize: 10, interval: 1000 }, spool: { file } }
+      const instance = createInstance(conf)
+      await start(instance)
+      instance.caller.grc_bfx.req.mockRejectedValue(new Error('ERR_TIMEOUT'))
+
+      await expect(instance.message('ch', 'hello')).rejects.toThrow()
+      await stop(instance)
+
+      expect(readSpool().map(record => record.t)).toEqual(['dead'])
+
+      const restarted = createInstance(conf)
+      await start(restarted)
+      expect(restarted._deadLetters.length).toBe(1)
+
+      await restarted._drainDeadLetters()
+
+      expect(restarted.caller.grc_bfx.req).toHaveBeenCalledWith(
+        'rest:ext:slack', 'postSlackMsg', [{ channel: 'ch', text: 'Env: test, hello' }], { timeout: 10000 })
+      expect(readSpool()).toEqual([])
+    })
+
+    it('should keep the batch in the spool when the report fails', async () => {
+      const instance = createInstance({ errorBatching, spool: { file } })
+      await start(instance)
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation()
+
+      await instance.logErrorEnqueue('ch', new Error('boom'), 'src', { id: 1 })
+      instance.caller.grc_bfx.req.mockRejectedValueOnce(new Error('ERR_TIMEOUT'))
+      await instance._processBatchedErrors()
+
+      expect(instance._errorBatch.size).toBe(1)
+      expect(readSpool().map(record => record.t)).toEqual(['batch'])
+
+      const restarted = createInstance({ errorBatching, spool: { file } })
+      await start(restarted)
+      await restarted._processBatchedErrors()
+
+      expect(restarted.caller.grc_bfx.req).toHaveBeenCalledTimes(1)
+      expect(readSpool()).toEqual([])
+      consoleSpy.mockRestore()
+    })
+
+    it('should cap replayed dead letters at the queue size', async () => {
+      const instance = createInstance({ deadLetter: { maxSize: 3, interval: 1000 }, spool: { file } })
+      await start(instance)
+      instance.caller.grc_bfx.req.mockRejectedValue(new Error('ERR_TIMEOUT'))
+
+      for (const msg of ['a', 'b', 'c']) {
+        await expect(instance.message('ch', msg)).rejects.toThrow()
+      }
+
+      const restarted = createInstance({ deadLetter: { maxSize: 2, interval: 1000 }, spool: { file } })
+      await start(restarted)
+
+      expect(restarted._deadLetters.map(entry => entry.send[0].text)).toEqual(['Env: test, b', 'Env: test, c'])
+      expect(restarted.getDeadLetterStats()).toMatchObject({ size: 2, dropped: 1 })
+      expect(readSpool().map(record => record.t)).toEqual(['dead', 'dead'])
+    })
+  })
+
+  describe('Alert storm escalation', () => {
+    const errorBatching = { interval: 5000, maxMessageLength: 4000 }
+    const escalation = {
+      channel: 'pager',
+      mention: '@here',
+      cooldown: 60000,
+      rules: [
+        { sourceName: 'dbConnect', threshold: 3, window: 300000 },
+        { pattern: '^rate', rateFactor: 3, minCount: 3, window: 60000, channel: 'rates', mention: '<!subteam^S123>' }
+      ]
+    }
+
+    beforeEach(() => {
+      jest.useFakeTimers()
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    const escalations = (instance) => instance.caller.grc_bfx.req.mock.calls
+      .map(([, , send]) => send[0])
+      .filter(payload => payload.text.includes('Alert storm'))
+
+    it('should escalate immediately once the threshold is exceeded', async () => {
+      const instance = createInstance({ errorBatching, escalation })
+
+      for (let i = 0; i < 4; i++) {
+        await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', { i })
+      }
+
+      const sent = escalations(instance)
+      expect(sent.length).toBe(1)
+      expect(sent[0].channel).toBe('pager')
+      expect(sent[0].text).toBe('Env: test, <!here> *Alert storm - dbConnect*\n4 errors in the last 5m (threshold 3), latest: "db down"')
+      expect(instance._errorBatch.values()[0].count).toBe(4)
+    })
+
+    it('should not escalate again during the cooldown', async () => {
+      const instance = createInstance({ errorBatching, escalation })
+
+      for (let i = 0; i < 10; i++) {
+        await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', { i })
+      }
+      expect(escalations(instance).length).toBe(1)
+
+      jest.advanceTimersByTime(60000)
+      await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', {})
+      expect(escalations(instance).length).toBe(2)
+    })
+
+    it('should escalate when the rate spikes against the previous window', async () => {
+      const instance = createInstance({ errorBatching, escalation })
+
+      await instance.logErrorEnqueue('ch', new Error('rate limit hit'), 'api', {})
+      jest.advanceTimersByTime(60000)
+      for (let i = 0; i < 3; i++) {
+        await instance.logErrorEnqueue('ch', new Error('rate limit hit'), 'api', {})
+      }
+
+      const sent = escalations(instance)
+      expect(sent.length).toBe(1)
+      expect(sent[0].channel).toBe('rates')
+      expect(sent[0].text).toContain('<!subteam^S123> *Alert storm - api*')
+      expect(sent[0].text).toContain('occurred 3 times in the last 1m (1 in the previous 1m)')
+    })
+
+    it('should count source rules across error types', async () => {
+      const instance = createInstance({ errorBatching, escalation })
+
+      for (const msg of ['db down', 'db timeout', 'db refused', 'db reset']) {
+        await instance.logErrorEnqueue('ch', new Error(msg), 'dbConnect', {})
+      }
+
+      const sent = escalations(instance)
+      expect(sent.length).toBe(1)
+      expect(sent[0].text).toContain('4 errors in the last 5m (threshold 3), latest: "db reset"')
+    })
+
+    it('should count per error type when configured', async () => {
+      const rules = [{ sourceName: 'dbConnect', per: 'error', threshold: 3, window: 300000 }]
+      const instance = createInstance({ errorBatching, escalation: { ...escalation, rules } })
+
+      for (const msg of ['db down', 'db timeout', 'db refused', 'db reset']) {
+        await instance.logErrorEnqueue('ch', new Error(msg), 'dbConnect', {})
+      }
+      expect(escalations(instance).length).toBe(0)
+
+      for (let i = 0; i < 3; i++) {
+        await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', {})
+      }
+
+      const sent = escalations(instance)
+      expect(sent.length).toBe(1)
+      expect(sent[0].text).toContain('"db down" occurred 4 times in the last 5m (threshold 3)')
+    })
+
+    it('should ignore errors no rule matches', async () => {
+      const instance = createInstance({ errorBatching, escalation })
+
+      for (let i = 0; i < 10; i++) {
+        await instance.logErrorEnqueue('ch', new Error('other'), 'api', {})
+      }
+
+      expect(escalations(instance).length).toBe(0)
+    })
+
+    it('should validate escalation rules', () => {
+      expect(() => createInstance({ escalation: { channel: 'pager', rules: [{ window: 1000 }] } }))
+        .toThrow('escalation.rules[0] requires a threshold greater than 0 or a rateFactor greater than 1')
+      expect(() => createInstance({ escalation: { rules: [{ window: 1000, threshold: 1 }] } }))
+        .toThrow('escalation.rules[0] has no channel and escalation.channel is not set')
+      expect(() => createInstance({ escalation: { channel: 'pager', rules: [{ window: 1000, threshold: 1, per: 'channel' }] } }))
+        .toThrow("escalation.rules[0].per must be 'source' or 'error'")
+    })
+  })
+
+  describe('Recovery notifications', () => {
+    const errorBatching = { interval: 5000, maxMessageLength: 4000, recovery: { quietPeriod: 60000 } }
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2023-01-01T10:00:00Z') })
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    it('should not resolve errors still pending for a slower interval', async () => {
+      const instance = createInstance({
+        errorBatching: {
+          ...errorBatching,
+          interval: 1000,
+          recovery: { quietPeriod: 200 },
+          overrides: { sources: { slow: { interval: 60000 } } }
+        }
+      })
+
+      await instance.logErrorEnqueue('ch', new Error('db down'), 'slow', {})
+      await instance._processBatchedErrors(60000)
+
+      jest.advanceTimersByTime(300)
+      await instance.logErrorEnqueue('ch', new Error('db down'), 'slow', {})
+      await instance._processBatchedErrors(1000)
+      expect(payloads(instance).length).toBe(1)
+
+      await instance._processBatchedErrors(60000)
+      jest.advanceTimersByTime(300)
+      await instance._processBatchedErrors(1000)
+
+      expect(payloads(instance).map(({ text }) => text)).toEqual([
+        expect.stringContaining('Batched Error Report - slow'),
+        expect.stringContaining('Batched Error Report - slow'),
+        expect.stringContaining('Resolved: *db down* (slow)')
+      ])
+    })
+
+    it('should post a resolved notice after the quiet period under the first report', async () => {
+      const instance = createInstance({ errorBatching })
+      instance.caller.grc_bfx.req.mockResolvedValue({ ok: true, ts: '111.222' })
+
+      await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', {})
+      await instance._processBatchedErrors()
+
+      jest.advanceTimersByTime(30000)
+      await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', {})
+      await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', {})
+      await instance._processBatchedErrors()
+
+      jest.advanceTimersByTime(59000)
+      await instance._processBatchedErrors()
+      expect(payloads(instance).length).toBe(2)
+
+      jest.advanceTimersByTime(1000)
+      await instance._processBatchedErrors()
+
+      const resolved = payloads(instance)[2]
+      expect(resolved.channel).toBe('ch')
+      expect(resolved.thread_ts).toBe('111.222')
+      expect(resolved.text).toBe('Env: test, Resolved: *db down* (dbConnect) last seen at 10:00:30, 3 total occurrences over 30s')
+
+      await instance._processBatchedErrors()
+      expect(payloads(instance).length).toBe(3)
+    })
+
+    it('should reuse the error thread in threaded mode', async () => {
+      const instance = createInstance({ errorBatching: { ...errorBatching, threads: {} } })
+      instance.caller.grc_bfx.req.mockResolvedValue({ ok: true, ts: '333.444' })
+
+      await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', {})
+      await instance._processBatchedErrors()
+
+      jest.advanceTimersByTime(60000)
+      await instance._processBatchedErrors()
+
+      expect(payloads(instance)[1].thread_ts).toBe('333.444')
+      expect(instance._errorThreads.size).toBe(0)
+    })
+
+    it('should validate the quiet period', () => {
+      expect(() => createInstance({ errorBatching: { ...errorBatching, recovery: {} } }))
+        .toThrow('errorBatching.recovery.quietPeriod is required and must be greater than 0')
+    })
+  })
+
+  describe('Mutes', () => {
+    const errorBatching = { interval: 5000, maxMessageLength: 4000 }
+
+    beforeEach(() => {
+      jest.useFakeTimers()
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    it('should suppress messages to a muted channel and report them when the mute expires', async () => {
+      const instance = createInstance()
+      const id = instance.mute('noisy', 3600000)
+
+      await expect(instance.message('noisy', 'a')).resolves.toBe(false)
+      await expect(instance.logError('noisy', new Error('b'))).resolves.toBe(false)
+      await instance.message('quiet', 'c')
+
+      expect(texts(instance)).toEqual(['Env: test, c'])
+      expect(instance.listMutes()).toEqual([expect.objectContaining({ id, pattern: 'noisy', suppressed: 2 })])
+
+      await jest.advanceTimersByTimeAsync(3600000)
+
+      expect(instance.listMutes()).toEqual([])
+      expect(texts(instance)[1]).toBe('Env: test, Mute on "noisy" ended: 2 messages suppressed over 1h')
+    })
+
+    it('should match sources and fingerprints', async () => {
+      const instance = createInstance({ errorBatching })
+      const fingerprint = instance._createErrorKey('ch', new Error('timeout after 10ms'), 'api').split(':')[2]
+
+      instance.mute({ sourceName: 'dbConnect' }, 60000)
+      instance.mute(fingerprint, 60000)
+
+      await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', {})
+      await instance.logErrorEnqueue('ch', new Error('timeout after 25ms'), 'api', {})
+      await instance.logErrorEnqueue('ch', new Error('other'), 'api', {})
+      await instance.warn({ channel: 'ch', sourceName: 'dbConnect' }, 'slow')
+      await instance.logError('ch', new Error('timeout after 99ms'))
+
+      expect(instance._errorBatch.values().map(e => e.errorMessage)).toEqual(['other'])
+      expect(instance.caller.grc_bfx.req).not.toHaveBeenCalled()
+      expect(instance.listMutes().map(m => m.suppressed)).toEqual([2, 2])
+    })
+
+    it('should match regular expressions', async () => {
+      const instance = createInstance()
+      instance.mute(/^health/, 60000)
+
+      await instance.warn({ channel: 'ch', sourceName: 'healthCheck' }, 'failing')
+      await instance.warn({ channel: 'ch', sourceName: 'api' }, 'slow')
+
+      expect(texts(instance)).toEqual(['Env: test, [WARN] api: slow'])
+    })
+
+    it('should unmute manually without reporting empty mutes', async () => {
+      const instance = createInstance()
+      const id = instance.mute('noisy', 60000)
+
+      await instance.unmute(id)
+      await instance.message('noisy', 'back')
+
+      expect(texts(instance)).toEqual(['Env: test, back'])
+    })
+
+    it('should validate mute arguments', () => {
+      const instance = createInstance()
+
+      expect(() => instance.mute('', 1000)).toThrow('mute pattern must be')
+      expect(() => instance.mute('ch', 0)).toThrow('durationMs is required and must be greater than 0')
+    })
+  })
+
+  describe('Metrics and events', () => {
+    it('should count sent and failed messages per channel and source', async () => {
+      const instance = createInstance()
+      const sent = jest.fn()
+      const failed = jest.fn()
+      instance.on('sent', sent)
+      instance.on('failed', failed)
+
+      await instance.warn({ channel: 'ch', sourceName: 'api' }, 'slow')
+      instance.caller.grc_bfx.req.mockRejectedValueOnce(new Error('channel_not_found'))
+      await expect(instance.message('other', 'hello')).rejects.toThrow('channel_not_found')
+
+      const stats = instance.getStats()
+      expect(stats).toMatchObject({ sent: 1, failed: 1, retried: 0 })
+      expect(stats.latency.count).toBe(2)
+      expect(stats.channels.ch).toMatchObject({ sent: 1, failed: 0 })
+      expect(stats.channels.other).toMatchObject({ sent: 0, failed: 1 })
+      expect(stats.sources.api).toMatchObject({ sent: 1 })
+
+      expect(sent).toHaveBeenCalledWith(expect.objectContaining({ channel: 'ch', sourceName: 'api', durationMs: expect.any(Number) }))
+      expect(failed).toHaveBeenCalledWith(expect.objectContaining({ channel: 'other', error: expect.any(Error) }))
+    })
+
+    it('should count retries and truncations', async () => {
+      const instance = createInstance({ max_length: 50, retry: { attempts: 2, minDelay: 1, maxDelay: 1, jitter: 0 } })
+      const truncated = jest.fn()
+      instance.on('truncated', truncated)
+      instance.caller.grc_bfx.req.mockRejectedValueOnce(new Error('ERR_TIMEOUT'))
+
+      await instance.message('ch', 'a'.repeat(100))
+
+      expect(instance.getStats()).toMatchObject({ sent: 1, retried: 1, truncated: 1 })
+      expect(truncated).toHaveBeenCalledWith({ channel: 'ch', length: 111, maxLength: 50 })
+    })
+
+    it('should count batched and flushed errors', async () => {
+      const instance = createInstance({ errorBatching: { interval: 60000, maxMessageLength: 4000 } })
+      const flushed = jest.fn()
+      instance.on('flushed', flushed)
+
+      await instance.logErrorEnqueue('ch', new Error('boom'), 'src', {})
+      await instance.logErrorEnqueue('ch', new Error('boom'), 'src', {})
+      await instance._processBatchedErrors()
+
+      expect(instance.getStats()).toMatchObject({ batched: 2, flushed: 2, sent: 1 })
+      expect(flushed).toHaveBeenCalledWith({ groups: 1, errorTypes: 1, occurrences: 2 })
+    })
+
+    it('should export prometheus metrics', async () => {
+      const instance = createInstance()
+
+      await instance.warn({ channel: 'ch', sourceName: 'api' }, 'slow')
+
+      const text = instance.getPrometheusMetrics()
+      expect(text).toContain('# TYPE grc_slack_messages_sent_total counter\ngrc_slack_messages_sent_total 1\n')
+      expect(text).toContain('grc_slack_channel_messages_sent_total{channel="ch"} 1\n')
+      expect(text).toContain('grc_slack_source_messages_sent_total{source="api"} 1\n')
+      expect(text).toContain('grc_slack_send_duration_seconds_count 1\n')
+      expect(text).toContain('grc_slack_channel_send_duration_seconds_bucket{channel="ch",le="+Inf"} 1\n')
+      expect(instance.getPrometheusMetrics('app_slack')).toContain('app_slack_messages_sent_total 1\n')
+    })
+  })
+
+  describe('Templates', () => {
+    const templates = {
+      deploy: '{{upper service}} deployed {{version}}{{#if rollback}} (rollback){{/if}}',
+      failures: '{{#each failures}}{{@number}}. {{name}} at {{time at}}{{#unless @last}}\n{{/unless}}{{else}}no failures{{/each}}'
+    }
+
+    it('should post messages rendered from named templates', async () => {
+      const instance = createInstance({ templates })
+      const at = new Date('2023-01-01T10:00:00Z').getTime()
+
+      await instance.messageTemplate('ch', 'deploy', { service: 'api', version: '1.2.0', rollback: true })
+      await instance.messageTemplate('ch', 'failures', { failures: [{ name: 'db', at }, { name: 'cache', at }] })
+      await instance.messageTemplate('ch', 'failures', { failures: [] })
+
+      expect(texts(instance)).toEqual([
+        'Env: test, API deployed 1.2.0 (rollback)',
+        'Env: test, 1. db at 10:00:00\n2. cache at 10:00:00',
+        'Env: test, no failures'
+      ])
+    })
+
+    it('should reject unknown templates', async () => {
+      const instance = createInstance({ templates })
+
+      await expect(instance.messageTemplate('ch', 'missing', {})).rejects.toThrow('unknown template missing')
+    })
+
+    it('should validate templates on construction', () => {
+      expect(() => createInstance({ templates: { bad: '{{#if ok}}open' } })).toThrow('templates.bad: unclosed {{#if}}')
+      expect(() => createInstance({ templates: { bad: '{{nope a}}' } })).toThrow('templates.bad: unknown helper nope')
+    })
+
+    it('should render the batched report through an overridable template', async () => {
+      const instance = createInstance({
+        templates: { batchedReport: '{{sourceName}}: {{#each errors}}{{errorMessage}} x{{count}}{{#unless @last}}, {{/unless}}{{/each}}' }
+      })
+      instance.conf.errorBatching = { interval: 5000, maxMessageLength: 4000 }
+
+      const now = Date.now()
+      const errors = ['A', 'B'].map(name => ({ errorMessage: `Error ${name}`, count: 2, payloads: [] }))
+      await instance._sendBatchedErrorMessage('ch', 'src', errors, 4, now, now)
+
+      expect(texts(instance)).toEqual(['Env: test, Error: src: Error A x2, Error B x2'])
+    })
+
+    it('should drop error types that do not fit the report', async () => {
+      const instance = createInstance()
+      instance.conf.errorBatching = { interval: 5000, maxMessageLength: 300 }
+
+      const now = Date.now()
+      const errors = ['A', 'B', 'C'].map(name => ({
+        errorMessage: `Error ${name} ${'-'.repeat(60)}`,
+        count: 1,
+        payloads: [{ payload: { data: 'x'.repeat(40) }, extras: [] }]
+      }))
+      await instance._sendBatchedErrorMessage('ch', 'src', errors, 3, now, now)
+
+      const [text] = texts(instance)
+      expect(text).toContain('Error B')
+      expect(text).not.toContain('Payloads')
+      expect(text).not.toContain('Error C')
+      expect(text).toMatch(/\.\.\. message truncated \(1 more error types\)$/)
+    })
+  })
+
+  describe('Digests', () => {
+    const errorBatching = {
+      interval: 5000,
+      maxMessageLength: 4000,
+      digest: { schedule: '@hourly', sources: ['cron', 'reports'], topN: 2 }
+    }
+
+    beforeEach(() => {
+      jest.useFakeTimers()
+      jest.setSystemTime(new Date('2023-01-01T10:30:00Z'))
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    it('should collect opted-in sources in the digest instead of the batch', async () => {
+      const instance = createInstance({ errorBatching })
+
+      await instance.logErrorEnqueue('ch', new Error('job failed'), 'cron', {})
+      await instance.logErrorEnqueue('ch', new Error('api down'), 'api', {})
+
+      expect(instance._errorBatch.values().map(e => e.sourceName)).toEqual(['api'])
+      expect(instance._digest.size).toBe(1)
+
+      await instance._processBatchedErrors()
+      expect(texts(instance)).toHaveLength(1)
+      expect(instance._digest.size).toBe(1)
+    })
+
+    it('should post the digest on schedule', async () => {
+      const instance = createInstance({ errorBatching })
+
+      for (let i = 0; i < 3; i++) await instance.logErrorEnqueue('ch', new Error('job failed'), 'cron', {})
+      await instance.logErrorEnqueue('ch', new Error('report empty'), 'reports', {})
+      await instance.logErrorEnqueue('ch', new Error('job timeout'), 'cron', {})
+
+      await jest.advanceTimersByTimeAsync(29 * 60000)
+      expect(texts(instance)).toEqual([])
+
+      await jest.advanceTimersByTimeAsync(60000)
+      expect(texts(instance)).toEqual([[
+        'Env: test, *Error Digest - 2023-01-01 10:30 to 2023-01-01 11:00 UTC*',
+        '*Summary:* 5 errors across 3 types, 3 new (none in previous period)',
+        '',
+        '*Top errors:*',
+        '1. *job failed* - cron, 3x (new)',
+        '2. *report empty* - reports, 1x (new)',
+        '... 1 more error types',
+        '',
+        '*By source:*',
+        '• cron: 4 errors across 2 types (new)',
+        '• reports: 1 errors across 1 types (new)',
+        ''
+      ].join('\n')])
+      expect(instance._digest.size).toBe(0)
+    })
+
+    it('should report new errors and trends against the previous period', async () => {
+      const instance = createInstance({ errorBatching })
+
+      for (let i = 0; i < 4; i++) await instance.logErrorEnqueue('ch', new Error('job failed'), 'cron', {})
+      await instance._processDigest()
+
+      for (let i = 0; i < 2; i++) await instance.logErrorEnqueue('ch', new Error('job failed'), 'cron', {})
+      await instance.logErrorEnqueue('ch', new Error('job timeout'), 'cron', {})
+      await instance._processDigest()
+
+      const text = texts(instance)[1]
+      expect(text).toContain('3 errors across 2 types, 1 new (-25% vs previous period)')
+      expect(text).toContain('1. *job failed* - cron, 2x (-50%)')
+      expect(text).toContain('2. *job timeout* - cron, 1x (new)')
+      expect(text).toContain('• cron: 3 errors across 2 types (-25%)')
+    })
+
+    it('should not post empty digests', async () => {
+      const instance = createInstance({ errorBatching })
+
+      await instance._processDigest()
+
+      expect(texts(instance)).toEqual([])
+    })
+
+    it('should post to the digest channel when configured', async () => {
+      const instance = createInstance({ errorBatching: { ...errorBatching, digest: { ...errorBatching.digest, channel: 'digests' } } })
+
+      await instance.logErrorEnqueue('ch1', new Error('job failed'), 'cron', {})
+      await instance.logErrorEnqueue('ch2', new Error('report empty'), 'reports', {})
+      await instance._processDigest()
+
+      expect(sentTo(instance)).toEqual(['digests'])
+    })
+
+    it('should validate the digest config', () => {
+      const digest = errorBatching.digest
+
+      expect(() => createInstance({ errorBatching: { ...errorBatching, digest: { ...digest, sources: [] } } }))
+        .toThrow('errorBatching.digest.sources must be a non empty array of source names')
+      expect(() => createInstance({ errorBatching: { ...errorBatching, digest: { ...digest, schedule: '0 25 * * *' } } }))
+        .toThrow('errorBatching.digest.schedule: invalid hour field "25"')
+      expect(() => createInstance({ errorBatching: { ...errorBatching, digest: { ...digest, schedule: undefined } } }))
+        .toThrow('errorBatching.digest.schedule is required')
+    })
+  })
+
+  describe('Error serialization', () => {
+    const withStack = (err, frames) => {
+      err.stack = [`${err.name}: ${err.message}`, ...frames.map(frame => `    ${frame}`)].join('\n')
+      return err
+    }
+
+    const appStack = [
+      'at Object.query (/srv/app/node_modules/pg/lib/client.js:10:5)',
+      'at Repo.find (/srv/app/src/repo.js:42:11)',
+      'at process.processTicksAndRejections (node:internal/process/task_queues:95:5)',
+      'at Service.run (/srv/app/src/service.js:7:3)'
+    ]
+
+    it('should show the code and the top app frames in a code block', async () => {
+      const instance = createInstance()
+      const err = withStack(new Error('connection lost'), appStack)
+      err.code = 'ECONNRESET'
+
+      await instance.logError('ch', err)
+
+      expect(texts(instance)).toEqual([[
+        'Env: test, Error [ECONNRESET]: connection lost',
+        '```',
+        'at Repo.find (/srv/app/src/repo.js:42:11)',
+        'at Service.run (/srv/app/src/service.js:7:3)',
+        '... 2 more frames',
+        '```'
+      ].join('\n')])
+    })
+
+    it('should walk cause chains and expand aggregate errors', async () => {
+      const instance = createInstance({ errorFormat: { stackFrames: 0 } })
+      const cause = new Error('socket hang up')
+      cause.code = 'ECONNRESET'
+      const err = new AggregateError([
+        new Error('replica 1 down', { cause }),
+        new TypeError('bad response')
+      ], 'all replicas failed')
+
+      await instance.logError('ch', err)
+
+      expect(texts(instance)).toEqual([[
+        'Env: test, AggregateError: all replicas failed',
+        '  [1] Error: replica 1 down',
+        '      Caused by: Error [ECONNRESET]: socket hang up',
+        '  [2] TypeError: bad response'
+      ].join('\n')])
+    })
+
+    it('should stop at circular and too deep cause chains', async () => {
+      const instance = createInstance({ errorFormat: { stackFrames: 0, maxDepth: 2 } })
+      const circular = new Error('loop')
+      circular.cause = circular
+      const deep = new Error('a', { cause: new Error('b', { cause: new Error('c', { cause: new Error('d') }) }) })
+
+      await instance.logError('ch', circular)
+      await instance.logError('ch', deep)
+
+      expect(texts(instance)).toEqual([
+        'Env: test, Error: loop\nCaused by: [Circular]',
+        'Env: test, Error: a\nCaused by: Error: b\nCaused by: Error: c\nCaused by: [...]'
+      ])
+    })
+
+    it('should keep all frames when trimming is disabled', async () => {
+      const instance = createInstance({ errorFormat: { stackFrames: 2, trimFrames: false } })
+
+      await instance.logError('ch', withStack(new Error('boom'), appStack))
+
+      expect(texts(instance)[0]).toContain('```\nat Object.query (/srv/app/node_modules/pg/lib/client.js:10:5)\nat Repo.find')
+    })
+
+    it('should redact causes', async () => {
+      const instance = createInstance({ redact: {}, errorFormat: { stackFrames: 0 } })
+
+      await instance.logError('ch', new Error('login failed', { cause: new Error('bad password for bob@example.com') }))
+
+      expect(texts(instance)).toEqual(['Env: test, Error: login failed\nCaused by: Error: bad password for [REDACTED]'])
+    })
+
+    it('should keep a representative stack per batch entry', async () => {
+      const instance = createInstance({ errorBatching: { interval: 5000, maxMessageLength: 4000 }, errorFormat: { stackFrames: 1 } })
+
+      await instance.logErrorEnqueue('ch', withStack(new Error('boom'), appStack), 'src', { id: 1 })
+      await instance.logErrorEnqueue('ch', withStack(new Error('boom'), appStack.slice(3)), 'src', { id: 2 })
+
+      const [entry] = instance._errorBatch.values()
+      expect(entry.stack).toBe('at Repo.find (/srv/app/src/repo.js:42:11)')
+
+      await instance._processBatchedErrors()
+      expect(texts(instance)[0]).toContain('• *boom* (2x)\n```\nat Repo.find (/srv/app/src/repo.js:42:11)\n```\n  Payloads:')
+    })
+  })
+
+  describe('Capture transport', () => {
+    it('should record messages instead of sending them', async () => {
+      const instance = createInstance({ transport: { type: 'capture' } })
+
+      await instance.message('alerts', 'db down')
+      await instance.message('alerts', 'db up', { threadTs: '1.000001' })
+      await instance.warn('ops', 'disk at 91%')
+
+      const capture = instance.getCapture()
+      expect(instance.caller.grc_bfx.req).not.toHaveBeenCalled()
+      expect(capture.count()).toBe(3)
+      expect(capture.byChannel('alerts').map(msg => msg.text)).toEqual(['Env: test, db down', 'Env: test, db up'])
+      expect(capture.count('db')).toBe(2)
+      expect(capture.count(/disk at \d+%/)).toBe(1)
+      expect(capture.filter({ channel: 'alerts', text: 'up' })).toEqual([
+        expect.objectContaining({ channel: 'alerts', threadTs: '1.000001', ts: expect.stringMatching(/^\d+\.\d{6}$/) })
+      ])
+      expect(capture.last().channel).toBe('ops')
+      expect(capture.last(msg => msg.payload.text.includes('down')).text).toBe('Env: test, db down')
+
+      capture.clear()
+      expect(capture.count()).toBe(0)
+    })
+
+    it('should return message ts for threads', async () => {
+      const instance = createInstance({ transport: { type: 'capture' } })
+
+      const res = await instance.message('ch', 'hello')
+
+      expect(instance._messageTs(res)).toBe(instance.getCapture().last().ts)
+    })
+
+    it('should only expose the capture of the capture transport', () => {
+      expect(createInstance().getCapture()).toBeNull()
+    })
+
+    it('should print messages and append them to a JSON lines file', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'grc-slack-'))
+      const file = path.join(dir, 'out', 'slack.jsonl')
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {})
+
+      try {
+        const instance = createInstance({ transport: { type: 'capture', print: true, file } })
+
+        await instance.message('ch', 'hello')
+        await instance.message('ch', 'world')
+
+        expect(logSpy).toHaveBeenCalledWith('[slack] #ch\nEnv: test, hello\n')
+        const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+        expect(lines.map(line => line.text)).toEqual(['Env: test, hello', 'Env: test, world'])
+      } finally {
+        logSpy.mockRestore()
+        fs.rmSync(dir, { recursive: true, force: true })
+      }
+    })
+
+    it('should keep at most maxMessages in memory', async () => {
+      const instance = createInstance({ transport: { type: 'capture', maxMessages: 2 } })
+
+      for (const text of ['a', 'b', 'c']) await instance.message('ch', text)
+
+      expect(instance.getCapture().messages.map(msg => msg.text)).toEqual(['Env: test, b', 'Env: test, c'])
+    })
+  })
+
+  describe('Process handlers', () => {
+    let exitSpy
+    let errorSpy
+
+    beforeEach(() => {
+      exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => {})
+      errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
+    })
+
+    afterEach(() => {
+      exitSpy.mockRestore()
+      errorSpy.mockRestore()
+    })
+
+    it('should install and remove the process listeners', () => {
+      const instance = createInstance()
+      const uninstall = instance.installProcessHandlers()
+      const { uncaughtException, unhandledRejection, warning } = instance._processHandlers
+
+      expect(process.listeners('uncaughtException')).toContain(uncaughtException)
+      expect(process.listeners('unhandledRejection')).toContain(unhandledRejection)
+      expect(process.listeners('warning')).toContain(warning)
+
+      uninstall()
+
+      expect(process.listeners('uncaughtException')).not.toContain(uncaughtException)
+      expect(process.listeners('unhandledRejection')).not.toContain(unhandledRejection)
+      expect(process.listeners('warning')).not.toContain(warning)
+    })
+
+    it('should report uncaught exceptions, flush the batch and exit', async () => {
+      const instance = createInstance({ errorBatching: { interval: 5000, maxMessageLength: 4000 } })
+      instance.installProcessHandlers()
+
+      await instance.logErrorEnqueue('ch', new Error('pending'), 'src', {})
+      await instance._processHandlers.uncaughtException(new Error('boom'))
+      instance.uninstallProcessHandlers()
+
+      const [crash, batch] = texts(instance)
+      expect(crash).toContain("event: 'uncaughtException'")
+      expect(crash).toContain(`host: '${os.hostname()}'`)
+      expect(crash).toContain(`pid: ${process.pid}`)
+      expect(crash).toMatch(/uptime: '\d+[smh]/)
+      expect(crash).toContain('Error: boom')
+      expect(batch).toContain('Batched Error Report - src')
+      expect(exitSpy).toHaveBeenCalledWith(1)
+    })
+
+    it('should send the crash report and the rate limited queue before exit', async () => {
+      const instance = createInstance({ rateLimit: { rate: 0.5, burst: 1, maxQueue: 10 } })
+      instance.installProcessHandlers({ timeout: 1500 })
+
+      for (let i = 0; i < 5; i++) {
+        instance.message('ch', `msg ${i}`)
+      }
+      await instance._processHandlers.uncaughtException(new Error('boom'))
+      instance.uninstallProcessHandlers()
+
+      const sent = texts(instance)
+      expect(sent).toHaveLength(6)
+      expect(sent.slice(0, 5)).toEqual([0, 1, 2, 3, 4].map(i => `Env: test, msg ${i}`))
+      expect(sent[5]).toContain('Error: boom')
+      expect(exitSpy).toHaveBeenCalledWith(1)
+    })
+
+    it('should exit after the timeout when delivery hangs', async () => {
+      const instance = createInstance()
+      instance.caller.grc_bfx.req.mockReturnValue(new Promise(() => {}))
+      instance.installProcessHandlers({ timeout: 20 })
+
+      await instance._processHandlers.unhandledRejection(new Error('rejected'))
+      instance.uninstallProcessHandlers()
+
+      expect(exitSpy).toHaveBeenCalledWith(1)
+    })
+
+    it('should report without exiting for warnings and when exitOnRejection is off', async () => {
+      const instance = createInstance()
+      instance.installProcessHandlers({ channel: 'crashes', exitOnRejection: false })
+
+      await instance._processHandlers.unhandledRejection('plain reason')
+      await instance._processHandlers.warning(new Error('MaxListenersExceededWarning'))
+      instance.uninstallProcessHandlers()
+
+      expect(sentTo(instance)).toEqual(['crashes', 'crashes'])
+      expect(texts(instance)[0]).toContain("event: 'unhandledRejection'")
+      expect(texts(instance)[0]).toContain('Error: plain reason')
+      expect(exitSpy).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Cross-instance aggregation', () => {
+    const errorBatching = { interval: 5000, maxMessageLength: 4000 }
+    const forwarderConf = (host) => ({
+      errorBatching: { ...errorBatching, aggregation: { role: 'forwarder', worker: 'rest:ext:slack-aggregator', host } }
+    })
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+    })
+
+    afterEach(() => {
+      console.error.mockRestore()
+    })
+
+    it('should forward the batch to the aggregator instead of reporting it', async () => {
+      const instance = createInstance(forwarderConf('host-1'))
+
+      await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', { id: 1 })
+      await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', { id: 2 })
+      await instance._processBatchedErrors()
+
+      const calls = instance.caller.grc_bfx.req.mock.calls
+      expect(calls).toHaveLength(1)
+      const [worker, action, [batch]] = calls[0]
+      expect(worker).toBe('rest:ext:slack-aggregator')
+      expect(action).toBe('aggregateSlackErrors')
+      expect(batch).toEqual({
+        host: 'host-1',
+        evicted: 0,
+        entries: [expect.objectContaining({ errorMessage: 'db down', count: 2, hosts: { 'host-1': 2 } })]
+      })
+      expect(instance._errorBatch.size).toBe(0)
+    })
+
+    it('should report locally when the aggregator cannot be reached', async () => {
+      const instance = createInstance(forwarderConf('host-1'))
+      instance.caller.grc_bfx.req.mockRejectedValueOnce(new Error('ERR_GRAPE_LOOKUP_EMPTY'))
+
+      await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', {})
+      await instance._processBatchedErrors()
+
+      const [[, action], [worker, , send]] = instance.caller.grc_bfx.req.mock.calls
+      expect(action).toBe('aggregateSlackErrors')
+      expect(worker).toBe('rest:ext:slack')
+      expect(send[0].text).toContain('Batched Error Report - dbConnect')
+    })
+
+    it('should merge forwarded batches into one fleet-wide report', async () => {
+      const aggregator = createInstance({ errorBatching: { ...errorBatching, aggregation: { role: 'aggregator', host: 'agg' } } })
+      const forwarders = [createInstance(forwarderConf('host-1')), createInstance(forwarderConf('host-2'))]
+
+      for (const [idx, forwarder] of forwarders.entries()) {
+        forwarder.caller.grc_bfx.req.mockImplementation(async (worker, action, [batch]) => aggregator.aggregateBatchedErrors(batch))
+        for (let i = 0; i <= idx; i++) {
+          await forwarder.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', { host: idx, i })
+        }
+        await forwarder._processBatchedErrors()
+      }
+      await aggregator.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', { host: 'agg' })
+
+      const [entry] = aggregator._errorBatch.values()
+      expect(entry).toMatchObject({ count: 4, hosts: { 'host-1': 1, 'host-2': 2, agg: 1 } })
+      expect(entry.payloads.map(item => item.payload)).toEqual([{ host: 1, i: 0 }, { host: 1, i: 1 }, { host: 'agg' }])
+
+      await aggregator._processBatchedErrors()
+
+      const calls = aggregator.caller.grc_bfx.req.mock.calls
+      expect(calls).toHaveLength(1)
+      const { text } = calls[0][2][0]
+      expect(text).toContain('*Summary:* 4 errors across 1 types on 3 hosts')
+      expect(text).toContain('  Hosts: host-2 (2x), host-1 (1x), agg (1x)\n')
+    })
+
+    it('should validate the aggregation config', () => {
+      expect(() => createInstance({ errorBatching: { ...errorBatching, aggregation: { role: 'leader' } } }))
+        .toThrow('errorBatching.aggregation.role must be one of forwarder, aggregator')
+      expect(() => createInstance({ errorBatching: { ...errorBatching, aggregation: { role: 'forwarder' } } }))
+        .toThrow('errorBatching.aggregation.worker is required for forwarders')
+    })
+  })
+
+  describe('Dedup window', () => {
+    beforeEach(() => {
+      jest.useFakeTimers()
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    it('should suppress repeats and report them when the window expires', async () => {
+      const instance = createInstance({ dedup: { window: 60000 } })
+
+      for (let i = 0; i < 4; i++) {
+        await instance.logError('ch', `health check failed after ${100 + i}ms`)
+        await jest.advanceTimersByTimeAsync(1000)
+      }
+
+      expect(texts(instance)).toEqual(['Env: test, Error: health check failed after 100ms'])
+      expect(instance.getStats().deduplicated).toBe(3)
+
+      await jest.advanceTimersByTimeAsync(56000)
+
+      expect(texts(instance)[1]).toBe('Env: test, Error: health check failed after 100ms (repeated 3 times in the last 1m)')
+
+      await instance.logError('ch', 'health check failed after 200ms')
+      expect(texts(instance)).toHaveLength(3)
+    })
+
+    it('should report repeats before the next distinct message', async () => {
+      const instance = createInstance({ dedup: { window: 60000 } })
+
+      await instance.message('ch', 'disk full')
+      await instance.message('ch', 'disk full')
+      await instance.message('other', 'disk full')
+      await jest.advanceTimersByTimeAsync(5000)
+      await instance.message('ch', 'disk ok')
+
+      expect(texts(instance)).toEqual([
+        'Env: test, disk full',
+        'Env: test, disk full',
+        'Env: test, disk full (repeated 1 time in the last 5s)',
+        'Env: test, disk ok'
+      ])
+      expect(sentTo(instance)).toEqual(['ch', 'other', 'ch', 'ch'])
+    })
+
+    it('should compare raw text without normalize and skip opted out messages', async () => {
+      const instance = createInstance({ dedup: { window: 60000, normalize: false } })
+
+      await instance.message('ch', 'retry 1')
+      await instance.message('ch', 'retry 2')
+      await instance.message('ch', 'retry 2', { dedup: false })
+
+      expect(texts(instance)).toEqual(['Env: test, retry 1', 'Env: test, retry 2', 'Env: test, retry 2'])
+    })
+
+    it('should report pending repeats on stop', async () => {
+      jest.useRealTimers()
+      const instance = createInstance({ dedup: { window: 60000 } })
+
+      await instance.message('ch', 'flapping')
+      await instance.message('ch', 'flapping')
+      await new Promise((resolve) => instance._stop(resolve))
+
+      expect(texts(instance)[1]).toBe('Env: test, flapping (repeated 1 time in the last 0s)')
+    })
+
+    it('should not deduplicate batched reports', async () => {
+      const instance = createInstance({ dedup: { window: 60000 }, errorBatching: { interval: 5000, maxMessageLength: 4000, payloads: 1 } })
+
+      await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', {})
+      await instance._processBatchedErrors()
+      await jest.advanceTimersByTimeAsync(5000)
+      for (let i = 0; i < 3; i++) {
+        await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', {})
+      }
+      await instance._processBatchedErrors()
+
+      expect(texts(instance)).toHaveLength(2)
+      expect(texts(instance)[1]).toContain('*Summary:* 3 errors across 1 types')
+      expect(instance.getStats().deduplicated).toBe(0)
+    })
+
+    it('should validate the window', () => {
+      expect(() => createInstance({ dedup: {} })).toThrow('dedup.window is required and must be greater than 0')
+    })
+  })
+
+  describe('Interactive actions', () => {
+    const errorBatching = { interval: 5000, maxMessageLength: 4000, actions: { muteDuration: 3600000, signingSecret: 'secret' } }
+
+    const sign = (rawBody, secret = 'secret', timestamp = String(Math.floor(Date.now() / 1000))) => {
+      const signature = 'v0=' + require('crypto').createHmac('sha256', secret).update(`v0:${timestamp}:${rawBody}`).digest('hex')
+      return { rawBody, timestamp, signature }
+    }
+
+    // posts the interaction the way slack does, form encoded and signed
+    const handle = (instance, payload) => instance.handleInteraction(undefined, sign('payload=' + encodeURIComponent(JSON.stringify(payload))))
+
+    const report = async (instance) => {
+      await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', { id: 1 }, 'ctx')
+      await instance._processBatchedErrors()
+      return instance.caller.grc_bfx.req.mock.calls[0][2][0]
+    }
+
+    const interaction = (send, actionId, blockId) => {
+      const { blocks } = send.attachments[0]
+      const actions = blocks.find(block => block.type === 'actions')
+      const button = actions.elements.find(el => el.action_id === actionId)
+      return {
+        type: 'block_actions',
+        user: { id: 'U123' },
+        response_url: 'https://hooks.slack.com/actions/T1/1/abc',
+        message: { text: send.text, attachments: send.attachments },
+        actions: [{ action_id: actionId, block_id: blockId || actions.block_id, value: button.value }]
+      }
+    }
+
+    it('should attach action buttons to batched reports', async () => {
+      const instance = createInstance({ errorBatching })
+
+      const send = await report(instance)
+
+      expect(send.text).toBe('Env: test, Batched Error Report - dbConnect')
+      const blocks = send.attachments[0].blocks
+      expect(blocks[0].text.text).toContain('*Batched Error Report - dbConnect*')
+      expect(blocks[1]).toEqual({ type: 'context', elements: [{ type: 'mrkdwn', text: '• db down' }] })
+      expect(blocks[2].type).toBe('actions')
+      expect(blocks[2].elements.map(el => el.text.text)).toEqual(['Acknowledge', 'Mute 1h', 'Show full payload'])
+      expect(blocks[2].elements[0].value).toMatch(/^ch:dbConnect:[0-9a-f]{40}$/)
+    })
+
+    it('should attach action buttons to block reports', async () => {
+      const instance = createInstance({ errorBatching: { ...errorBatching, blocks: true } })
+
+      const send = await report(instance)
+
+      const types = send.attachments[0].blocks.map(block => block.type)
+      expect(types).toEqual(['header', 'section', 'divider', 'section', 'actions', 'context'])
+    })
+
+    it('should mute the error and edit the original message', async () => {
+      const instance = createInstance({ errorBatching })
+      const respond = jest.spyOn(instance, '_respond').mockResolvedValue()
+      const send = await report(instance)
+      const payload = interaction(send, 'grc_slack_mute')
+
+      // a parsed form body is accepted along with the raw body for the signature
+      const form = { payload: JSON.stringify(payload) }
+      await expect(instance.handleInteraction(form, sign(new URLSearchParams(form).toString()))).resolves.toBe(true)
+
+      expect(instance.listMutes()).toEqual([expect.objectContaining({
+        pattern: { channel: 'ch', sourceName: 'dbConnect', fingerprint: expect.stringMatching(/^[0-9a-f]{40}$/) }
+      })])
+      await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', {})
+      expect(instance._errorBatch.size).toBe(0)
+
+      const [[, body]] = respond.mock.calls
+      expect(body.replace_original).toBe(true)
+      expect(body.attachments[0].blocks[2]).toEqual({ type: 'context', elements: [{ type: 'mrkdwn', text: 'Muted for 1h by <@U123>' }] })
+      await instance.unmute()
+    })
+
+    it('should acknowledge errors and stop escalating them', async () => {
+      const instance = createInstance({
+        errorBatching,
+        escalation: { channel: 'pager', rules: [{ threshold: 1, window: 60000 }] }
+      })
+      jest.spyOn(instance, '_respond').mockResolvedValue()
+      const action = jest.fn()
+      instance.on('action', action)
+      const send = await report(instance)
+
+      await handle(instance, interaction(send, 'grc_slack_ack'))
+      instance.caller.grc_bfx.req.mockClear()
+      for (let i = 0; i < 3; i++) await instance.logErrorEnqueue('ch', new Error('db down'), 'dbConnect', {})
+
+      expect(instance.caller.grc_bfx.req).not.toHaveBeenCalled()
+      expect(action).toHaveBeenCalledWith({ action: 'ack', errorKey: expect.stringMatching(/^ch:dbConnect:/), user: { id: 'U123' } })
+      expect(instance._respond.mock.calls[0][1].attachments[0].blocks[2].elements[0].text).toMatch(/^Acknowledged by <@U123> at \d{2}:\d{2}:\d{2}$/)
+    })
+
+    it('should show the full payload to the user', async () => {
+      const instance = createInstance({ errorBatching })
+      const respond = jest.spyOn(instance, '_respond').mockResolvedValue()
+      const send = await report(instance)
+
+      await handle(instance, interaction(send, 'grc_slack_details'))
+
+      const [[, body]] = respond.mock.calls
+      expect(body).toMatchObject({ response_type: 'ephemeral', replace_original: false })
+      expect(body.text).toContain('*db down* (dbConnect, 1x)')
+      expect(body.text).toContain('```\n{\n  "id": 1\n}\n```\nExtras: `["ctx"]`')
+    })
+
+    it('should ignore other interactions', async () => {
+      const instance = createInstance({ errorBatching })
+
+      await expect(handle(instance, { type: 'view_submission' })).resolves.toBe(false)
+      await expect(handle(instance, { type: 'block_actions', actions: [{ action_id: 'other' }] })).resolves.toBe(false)
+      await expect(createInstance().handleInteraction({})).rejects.toThrow('errorBatching.actions is required')
+    })
+
+    it('should reject response urls outside of slack', async () => {
+      const instance = createInstance({ errorBatching })
+      const respond = jest.spyOn(instance, '_respond').mockResolvedValue()
+      const send = await report(instance)
+      const payload = { ...interaction(send, 'grc_slack_details'), response_url: 'http://169.254.169.254/latest' }
+
+      await expect(handle(instance, payload)).rejects.toThrow('Invalid slack response_url')
+      await expect(handle(instance, { ...payload, response_url: 'https://hooks.slack.com.evil.io/x' }))
+        .rejects.toThrow('Invalid slack response_url')
+      expect(respond).not.toHaveBeenCalled()
+    })
+
+    it('should ignore actions on errors that were not reported', async () => {
+      const instance = createInstance({ errorBatching })
+      const respond = jest.spyOn(instance, '_respond').mockResolvedValue()
+      const send = await report(instance)
+      const payload = interaction(send, 'grc_slack_mute')
+      payload.actions[0].value = 'alerts:payments:' + 'a'.repeat(40)
+
+      await expect(handle(instance, payload)).resolves.toBe(false)
+      expect(instance.listMutes()).toEqual([])
+      expect(respond).not.toHaveBeenCalled()
+    })
+
+    it('should verify the request signature', async () => {
+      const instance = createInstance({ errorBatching })
+      const { rawBody, timestamp, signature } = sign('payload=' + encodeURIComponent(JSON.stringify({ type: 'view_submission' })))
+
+      await expect(instance.handleInteraction(undefined, { rawBody, timestamp, signature })).resolves.toBe(false)
+      await expect(instance.handleInteraction(undefined, { rawBody, timestamp, signature: 'v0=bad' }))
+        .rejects.toThrow('Invalid slack request signature')
+      await expect(instance.handleInteraction(undefined, { rawBody, timestamp: '1000', signature }))
+        .rejects.toThrow('Invalid slack request signature')
+      await expect(instance.handleInteraction({ type: 'view_submission' })).rejects.toThrow('Invalid slack request signature')
+    })
+
+    it('should require a signing secret', () => {
+      expect(() => createInstance({ errorBatching: { ...errorBatching, actions: { muteDuration: 3600000 } } }))
+        .toThrow('errorBatching.actions.signingSecret is required')
+    })
+  })
+
+  describe('Message updates', () => {
+    it('should update and delete messages by ts', async () => {
+      const instance = createInstance({ transport: { type: 'capture' } })
+      const capture = instance.getCapture()
+
+      const ts = instance._messageTs(await instance.message('deploys', 'deploy started'))
+      await instance.update('deploys', ts, 'deploy 50%')
+
+      expect(capture.count()).toBe(1)
+      expect(capture.last()).toEqual(expect.objectContaining({ ts, text: 'Env: test, deploy 50%', edits: 1 }))
+
+      await instance.delete('deploys', ts)
+      expect(capture.count()).toBe(0)
+    })
+
+    it('should send updates and deletes over grenache', async () => {
+      const instance = createInstance()
+
+      await instance.update('ch', '1.000001', { header: 'Deploy', text: 'done' })
+      await instance.delete('ch', '1.000001')
+
+      const [updateCall, deleteCall] = instance.caller.grc_bfx.req.mock.calls
+      expect(updateCall[1]).toBe('updateSlackMsg')
+      expect(updateCall[2]).toEqual([expect.objectContaining({ channel: 'ch', ts: '1.000001', text: 'Env: test, done', blocks: expect.any(Array) })])
+      expect(deleteCall[1]).toBe('deleteSlackMsg')
+      expect(deleteCall[2]).toEqual([{ channel: 'ch', ts: '1.000001' }])
+    })
+
+    it('should reject updates on the webhook transport', async () => {
+      const instance = createInstance({ transport: { type: 'webhook', url: 'https://hooks.slack.com/services/x' } })
+
+      await expect(instance.update('ch', '1.000001', 'text')).rejects.toThrow('update is not supported by the webhook transport')
+    })
+
+    it('should post a status message once and update it afterwards', async () => {
+      const instance = createInstance({ transport: { type: 'capture' } })
+      const capture = instance.getCapture()
+
+      const status = instance.statusMessage('deploy', { channel: 'deploys' })
+      await Promise.all([status.update('deploy 10%'), status.update('deploy 40%')])
+      await instance.statusMessage('deploy').update('deploy 90%')
+
+      expect(capture.count()).toBe(1)
+      expect(capture.last()).toEqual(expect.objectContaining({ channel: 'deploys', ts: status.ts, text: 'Env: test, deploy 90%', edits: 2 }))
+
+      await status.done('deploy finished')
+      await instance.statusMessage('deploy', { channel: 'deploys' }).update('deploy started')
+
+      expect(capture.byChannel('deploys').map(msg => msg.text)).toEqual(['Env: test, deploy finished', 'Env: test, deploy started'])
+    })
+
+    it('should post the status message again when it was deleted from slack', async () => {
+      const instance = createInstance({ transport: { type: 'capture' } })
+      const capture = instance.getCapture()
+
+      const status = instance.statusMessage('queue')
+      await status.update('queue depth 10')
+      capture.clear()
+      await status.update('queue depth 20')
+
+      expect(capture.count()).toBe(1)
+      expect(status.ts).toBe(capture.last().ts)
+
+      await status.delete()
+      expect(capture.count()).toBe(0)
+      expect(status.ts).toBeNull()
+    })
+  })
+
+  describe('Batching overrides', () => {
+    const errorBatching = {
+      interval: 60000,
+      maxMessageLength: 4000,
+      overrides: {
+        sources: { payments: { interval: 10000, payloads: 2, sampling: 'first' } },
+        channels: { 'alerts-critical': { immediate: true } }
+      }
+    }
+
+    it('should resolve channel overrides then source overrides over the global options', () => {
+      const instance = createInstance({
+        errorBatching: {
+          ...errorBatching,
+          payloads: 5,
+          overrides: {
+            sources: { payments: { payloads: 2 } },
+            channels: { billing: { payloads: 4, sampling: 'reservoir' } }
+          }
+        }
+      })
+
+      expect(instance._batchingOpts('ops', 'api')).toEqual({ interval: 60000, maxMessageLength: 4000, payloads: 5, sampling: 'last', immediate: false })
+      expect(instance._batchingOpts('billing', 'payments')).toEqual(expect.objectContaining({ payloads: 2, sampling: 'reservoir' }))
+    })
+
+    it('should keep payload samples by source strategy', async () => {
+      const instance = createInstance({ errorBatching })
+
+      for (let id = 1; id <= 4; id++) {
+        await instance.logErrorEnqueue('ch', new Error('card declined'), 'payments', { id })
+        await instance.logErrorEnqueue('ch', new Error('timeout'), 'api', { id })
+      }
+
+      const [payments, api] = instance._errorBatch.values()
+      expect(payments.payloads.map(({ payload }) => payload.id)).toEqual([1, 2])
+      expect(api.payloads.map(({ payload }) => payload.id)).toEqual([2, 3, 4])
+    })
+
+    it('should keep a random sample with reservoir sampling', async () => {
+      const instance = createInstance({ errorBatching: { ...errorBatching, payloads: 2, sampling: 'reservoir' } })
+      jest.spyOn(Math, 'random').mockReturnValue(0.1)
+
+      for (let id = 1; id <= 5; id++) {
+        await instance.logErrorEnqueue('ch', new Error('timeout'), 'api', { id })
+      }
+      Math.random.mockRestore()
+
+      // 0.1 * count is below the sample size, so each later occurrence replaces the first sample
+      expect(instance._errorBatch.values()[0].payloads.map(({ payload }) => payload.id)).toEqual([5, 2])
+    })
+
+    it('should send errors of immediate sources and channels right away', async () => {
+      const instance = createInstance({ errorBatching: { ...errorBatching, immediate: ['auth'] } })
+      const logErrorSpy = jest.spyOn(instance, 'logError')
+
+      await instance.logErrorEnqueue('ch', new Error('token leaked'), 'auth', { id: 1 })
+      await instance.logErrorEnqueue('alerts-critical', new Error('disk full'), 'api', { id: 2 })
+      await instance.logErrorEnqueue('ch', new Error('timeout'), 'api', { id: 3 })
+
+      expect(logErrorSpy).toHaveBeenCalledTimes(2)
+      expect(logErrorSpy).toHaveBeenCalledWith('ch', expect.objectContaining({ message: 'token leaked' }), 'auth', { id: 1 })
+      expect(instance._errorBatch.values().map(entry => entry.errorMessage)).toEqual(['timeout'])
+    })
+
+    it('should only flush the error types of the interval', async () => {
+      const instance = createInstance({ errorBatching })
+      const sendSpy = jest.spyOn(instance, '_sendBatchedErrorMessage').mockResolvedValue(undefined)
+
+      await instance.logErrorEnqueue('ch', new Error('card declined'), 'payments', { id: 1 })
+      await instance.logErrorEnqueue('ch', new Error('timeout'), 'api', { id: 2 })
+
+      await instance._processBatchedErrors(10000)
+      expect(sendSpy).toHaveBeenCalledTimes(1)
+      expect(sendSpy.mock.calls[0][1]).toBe('payments')
+      expect(instance._errorBatch.values().map(entry => entry.sourceName)).toEqual(['api'])
+
+      await instance._processBatchedErrors(60000)
+      expect(sendSpy).toHaveBeenCalledTimes(2)
+      expect(sendSpy.mock.calls[1][1]).toBe('api')
+      expect(instance._errorBatch.size).toBe(0)
+    })
+
+    it('should start a timer per override interval', async () => {
+      jest.useFakeTimers()
+      const instance = createInstance({ errorBatching })
+      const processSpy = jest.spyOn(instance, '_processBatchedErrors').mockResolvedValue(undefined)
+
+      jest.advanceTimersByTime(60000)
+
+      expect(processSpy).toHaveBeenCalledTimes(6)
+      expect(processSpy).toHaveBeenCalledWith(10000)
+
+      await new Promise((resolve) => instance._stop(resolve))
+      expect(instance._overrideBatchTimers).toBeNull()
+      jest.useRealTimers()
+    })
+
+    it('should use the maxMessageLength of the source', async () => {
+      const instance = createInstance({
+        errorBatching: { ...errorBatching, overrides: { sources: { api: { maxMessageLength: 300 } } } }
+      })
+      const logErrorSpy = jest.spyOn(instance, '_logError').mockResolvedValue(undefined)
+
+      for (let i = 0; i < 10; i++) {
+        await instance.logErrorEnqueue('ch', new Error(`error number ${i} `.repeat(5)), 'api', { i })
+      }
+      await instance._processBatchedErrors()
+
+      expect(logErrorSpy.mock.calls[0][1].length).toBeLessThanOrEqual(300)
+    })
+
+    it('should validate overrides', () => {
+      const invalid = [
+        [{ payloads: 0 }, 'errorBatching.payloads must be an integer greater than 0'],
+        [{ sampling: 'random' }, 'errorBatching.sampling must be one of first, last, reservoir'],
+        [{ immediate: 'auth' }, 'errorBatching.immediate must be an array of source names'],
+        [{ overrides: { hosts: {} } }, 'errorBatching.overrides.hosts is not supported, use sources or channels'],
+        [{ overrides: { sources: { api: { interval: -1 } } } }, 'errorBatching.overrides.sources.api.interval must be greater than 0'],
+        [{ overrides: { channels: { ch: { eviction: 'lfu' } } } }, 'errorBatching.overrides.channels.ch.eviction is not supported'],
+        [{ overrides: { channels: { ch: { immediate: 'yes' } } } }, 'errorBatching.overrides.channels.ch.immediate must be a boolean'],
+        [
+          { immediate: ['cleanupJob'], digest: { schedule: '@daily', sources: ['cleanupJob'] } },
+          'errorBatching.digest.sources: cleanupJob is sent immediately'
+        ]
+      ]
+
+      for (const [conf, message] of invalid) {
+        expect(() => createInstance({ errorBatching: { interval: 60000, maxMessageLength: 4000, ...conf } })).toThrow(message)
+      }
+    })
+  })
 })
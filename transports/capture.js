@@ -0,0 +1,141 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+const matchText = (pattern, text) => {
+  if (pattern instanceof RegExp) return pattern.test(text)
+  return text.includes(pattern)
+}
+
+/**
+ * Build a predicate for captured messages
+ * @param {string|RegExp|Function|Object} [query] - Text substring, text RegExp, predicate
+ *   or { channel, text, threadTs } where text is a substring or a RegExp
+ */
+const createMatcher = (query) => {
+  if (query === undefined) return () => true
+  if (typeof query === 'function') return query
+  if (typeof query === 'string' || query instanceof RegExp) return (msg) => matchText(query, msg.text)
+
+  return (msg) => {
+    if (query.channel !== undefined && msg.channel !== query.channel) return false
+    if (query.threadTs !== undefined && msg.threadTs !== query.threadTs) return false
+    if (query.text !== undefined && !matchText(query.text, msg.text)) return false
+    return true
+  }
+}
+
+class CaptureTransport {
+  /**
+   * Records messages in memory instead of sending them, for tests and local
+   * development. Messages can also be printed to the console and appended
+   * to a JSON lines file. Updates edit the recorded message in place and
+   * deletes remove it.
+   * @param {Object} conf - Facility conf
+   * @param {boolean} [conf.transport.print] - Print messages to the console
+   * @param {string} [conf.transport.file] - JSON lines file, relative to root
+   * @param {number} [conf.transport.maxMessages] - Max messages kept in memory, defaults to 1000
+   * @param {string} [root] - Service root
+   */
+  constructor (conf, root = process.cwd()) {
+    this.conf = conf
+    this.print = !!conf.transport.print
+    this.maxMessages = conf.transport.maxMessages || 1000
+    this.file = conf.transport.file ? path.resolve(root, conf.transport.file) : null
+    this.messages = []
+    this._seq = 0
+
+    if (this.file) {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true })
+    }
+  }
+
+  async post (send, worker) {
+    return send.map(payload => {
+      const msg = {
+        channel: payload.channel,
+        text: payload.text || '',
+        threadTs: payload.thread_ts || null,
+        ts: this._nextTs(),
+        at: Date.now(),
+        worker,
+        payload
+      }
+
+      this._record(msg)
+      return { ok: true, channel: msg.channel, ts: msg.ts }
+    })
+  }
+
+  async update (payload, worker) {
+    const msg = this.messages.find(item => item.channel === payload.channel && item.ts === payload.ts)
+    if (!msg) throw new Error('message_not_found')
+
+    const { ts, ...content } = payload
+    msg.text = content.text || ''
+    msg.payload = { ...msg.payload, ...content }
+    msg.edits = (msg.edits || 0) + 1
+    msg.updatedAt = Date.now()
+
+    if (this.print) console.log(`[slack] #${msg.channel} (updated ${ts})\n${msg.text}\n`)
+    if (this.file) fs.appendFileSync(this.file, JSON.stringify({ ...msg, worker }) + '\n')
+
+    return { ok: true, channel: msg.channel, ts }
+  }
+
+  async delete ({ channel, ts }) {
+    const idx = this.messages.findIndex(item => item.channel === channel && item.ts === ts)
+    if (idx === -1) throw new Error('message_not_found')
+
+    this.messages.splice(idx, 1)
+    return { ok: true, channel, ts }
+  }
+
+  _nextTs () {
+    this._seq++
+    return `${Math.floor(Date.now() / 1000)}.${String(this._seq).padStart(6, '0')}`
+  }
+
+  _record (msg) {
+    this.messages.push(msg)
+    if (this.messages.length > this.maxMessages) this.messages.shift()
+
+    if (this.print) {
+      const thread = msg.threadTs ? ` (thread ${msg.threadTs})` : ''
+      const body = msg.text || JSON.stringify(msg.payload.blocks || msg.payload.attachments)
+      console.log(`[slack] #${msg.channel}${thread}\n${body}\n`)
+    }
+
+    if (this.file) {
+      fs.appendFileSync(this.file, JSON.stringify(msg) + '\n')
+    }
+  }
+
+  /**
+   * @param {string|RegExp|Function|Object} [query] - See createMatcher
+   * @returns {Array<Object>} { channel, text, threadTs, ts, at, worker, payload }
+   */
+  filter (query) {
+    return this.messages.filter(createMatcher(query))
+  }
+
+  byChannel (channel) {
+    return this.filter({ channel })
+  }
+
+  count (query) {
+    return this.filter(query).length
+  }
+
+  last (query) {
+    const matches = this.filter(query)
+    return matches[matches.length - 1] || null
+  }
+
+  clear () {
+    this.messages = []
+  }
+}
+
+module.exports = CaptureTransport
@@ -0,0 +1,41 @@
+'use strict'
+
+class GrenacheTransport {
+  /**
+   * Sends messages through the postSlackMsg action of a grenache worker
+   * @param {Object} caller - Facility caller, must expose grc_bfx
+   * @param {Object} conf - Facility conf
+   */
+  constructor (caller, conf) {
+    this.caller = caller
+    this.conf = conf
+  }
+
+  post (send, worker = this.conf.worker || 'rest:ext:slack') {
+    return this._req(worker, 'postSlackMsg', send)
+  }
+
+  /**
+   * @param {Object} msg - { channel, ts, text, blocks, attachments }
+   */
+  update (msg, worker = this.conf.worker || 'rest:ext:slack') {
+    return this._req(worker, 'updateSlackMsg', [msg])
+  }
+
+  /**
+   * @param {Object} msg - { channel, ts }
+   */
+  delete (msg, worker = this.conf.worker || 'rest:ext:slack') {
+    return this._req(worker, 'deleteSlackMsg', [msg])
+  }
+
+  _req (worker, action, args) {
+    return this.caller.grc_bfx.req(
+      worker,
+      action,
+      args,
+      { timeout: this.conf.timeout || 10000 })
+  }
+}
+
+module.exports = GrenacheTransport
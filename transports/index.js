@@ -0,0 +1,39 @@
+'use strict'
+
+const GrenacheTransport = require('./grenache')
+const WebhookTransport = require('./webhook')
+const WebApiTransport = require('./web-api')
+const CaptureTransport = require('./capture')
+
+const TRANSPORTS = ['grenache', 'webhook', 'web-api', 'capture']
+
+/**
+ * Create the transport selected by conf.transport.type, defaults to grenache
+ * @param {Object} caller - Facility caller
+ * @param {Object} conf - Facility conf
+ */
+const createTransport = (caller, conf) => {
+  const type = (conf.transport && conf.transport.type) || 'grenache'
+
+  switch (type) {
+    case 'grenache':
+      return new GrenacheTransport(caller, conf)
+    case 'webhook':
+      return new WebhookTransport(conf)
+    case 'web-api':
+      return new WebApiTransport(conf)
+    case 'capture':
+      return new CaptureTransport(conf, caller.ctx && caller.ctx.root)
+    default:
+      throw new Error(`transport.type must be one of ${TRANSPORTS.join(', ')}`)
+  }
+}
+
+module.exports = {
+  TRANSPORTS,
+  createTransport,
+  GrenacheTransport,
+  WebhookTransport,
+  WebApiTransport,
+  CaptureTransport
+}
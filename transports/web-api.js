@@ -0,0 +1,60 @@
+'use strict'
+
+const { postJson, httpError } = require('../utils/http')
+
+class WebApiTransport {
+  /**
+   * Sends messages with the slack Web API chat.postMessage method
+   * @param {Object} conf - Facility conf
+   * @param {string} conf.transport.token - Bot token
+   * @param {string} [conf.transport.baseUrl] - Defaults to https://slack.com/api
+   */
+  constructor (conf) {
+    if (!conf.transport.token) {
+      throw new Error('transport.token is required for the web-api transport')
+    }
+
+    this.conf = conf
+    this.token = conf.transport.token
+    this.baseUrl = (conf.transport.baseUrl || 'https://slack.com/api').replace(/\/$/, '')
+  }
+
+  async _call (method, body) {
+    const res = await postJson(`${this.baseUrl}/${method}`, body, {
+      headers: { Authorization: `Bearer ${this.token}` },
+      timeout: this.conf.timeout || 10000
+    })
+
+    if (res.statusCode !== 200) {
+      throw httpError(res.statusCode, `${method} failed with status ${res.statusCode}`)
+    }
+
+    const data = JSON.parse(res.body)
+    if (!data.ok) {
+      // ratelimited is also reported with a 200 by some endpoints
+      throw httpError(data.error === 'ratelimited' ? 429 : 400, `${method} failed: ${data.error}`)
+    }
+
+    return data
+  }
+
+  async post (send) {
+    const results = []
+
+    for (const msg of send) {
+      results.push(await this._call('chat.postMessage', msg))
+    }
+
+    return results
+  }
+
+  update (msg) {
+    return this._call('chat.update', msg)
+  }
+
+  delete ({ channel, ts }) {
+    return this._call('chat.delete', { channel, ts })
+  }
+}
+
+module.exports = WebApiTransport
@@ -0,0 +1,37 @@
+'use strict'
+
+const { postJson, httpError } = require('../utils/http')
+
+class WebhookTransport {
+  /**
+   * Sends messages to a slack incoming webhook, the channel is fixed by the
+   * webhook so the channel of each message is ignored. Webhook messages
+   * cannot be updated or deleted
+   * @param {Object} conf - Facility conf
+   * @param {string} conf.transport.url - Incoming webhook url
+   */
+  constructor (conf) {
+    if (!conf.transport.url) {
+      throw new Error('transport.url is required for the webhook transport')
+    }
+
+    this.conf = conf
+    this.url = conf.transport.url
+  }
+
+  async post (send) {
+    const results = []
+
+    for (const { channel, ...msg } of send) {
+      const res = await postJson(this.url, msg, { timeout: this.conf.timeout || 10000 })
+      if (res.statusCode !== 200) {
+        throw httpError(res.statusCode, `webhook request failed with status ${res.statusCode}: ${res.body}`)
+      }
+      results.push({ ok: true, channel })
+    }
+
+    return results
+  }
+}
+
+module.exports = WebhookTransport
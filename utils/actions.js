@@ -0,0 +1,128 @@
+'use strict'
+
+const { createHmac, timingSafeEqual } = require('crypto')
+const { context } = require('./blocks')
+
+const ACTION_IDS = {
+  ack: 'grc_slack_ack',
+  mute: 'grc_slack_mute',
+  details: 'grc_slack_details'
+}
+
+// slack rejects requests with a timestamp older than 5 minutes
+const MAX_SIGNATURE_AGE = 5 * 60
+
+// interactions are answered by posting to their response_url, which slack
+// always serves from this host
+const RESPONSE_URL_PREFIX = 'https://hooks.slack.com/'
+
+const button = (text, actionId, value, style) => {
+  const el = { type: 'button', text: { type: 'plain_text', text }, action_id: actionId, value }
+  if (style) el.style = style
+  return el
+}
+
+/**
+ * Acknowledge, mute and details buttons for an error of a batched report
+ * @param {string} errorKey
+ * @param {string} muteLabel - Mute duration shown on the button, e.g. 1h
+ */
+const actionsBlock = (errorKey, muteLabel) => ({
+  type: 'actions',
+  block_id: `grc_slack_actions:${errorKey.slice(errorKey.lastIndexOf(':') + 1)}`,
+  elements: [
+    button('Acknowledge', ACTION_IDS.ack, errorKey, 'primary'),
+    button(`Mute ${muteLabel}`, ACTION_IDS.mute, errorKey),
+    button('Show full payload', ACTION_IDS.details, errorKey)
+  ]
+})
+
+/**
+ * @returns {string|null} ack, mute or details
+ */
+const actionKind = (actionId) => {
+  const entry = Object.entries(ACTION_IDS).find(([, id]) => id === actionId)
+  return entry ? entry[0] : null
+}
+
+/**
+ * Split an error key into the fields matched by mutes
+ * @returns {Object} { channel, sourceName, fingerprint }
+ */
+const parseErrorKey = (errorKey) => {
+  const parts = errorKey.split(':')
+  const channel = parts.shift()
+  const fingerprint = parts.pop()
+  return { channel, sourceName: parts.join(':'), fingerprint }
+}
+
+/**
+ * Parse a slack interaction callback: the payload object, its JSON or the
+ * form encoded body slack posts (payload=...)
+ */
+const parseInteraction = (body) => {
+  if (Buffer.isBuffer(body)) body = body.toString()
+
+  if (typeof body === 'string') {
+    const trimmed = body.trim()
+    if (trimmed.startsWith('payload=')) {
+      return parseInteraction(new URLSearchParams(trimmed).get('payload'))
+    }
+    return JSON.parse(trimmed)
+  }
+
+  if (body && typeof body.payload === 'string') return JSON.parse(body.payload)
+  return body
+}
+
+/**
+ * Check the X-Slack-Signature of a request against the app signing secret
+ * @param {string} secret
+ * @param {Object} req
+ * @param {string} req.signature - X-Slack-Signature header
+ * @param {string|number} req.timestamp - X-Slack-Request-Timestamp header
+ * @param {string} req.rawBody - Raw request body
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean}
+ */
+const verifySignature = (secret, { signature, timestamp, rawBody }, now = Date.now()) => {
+  if (!signature || !timestamp || typeof rawBody !== 'string') return false
+  if (Math.abs(now / 1000 - Number(timestamp)) > MAX_SIGNATURE_AGE) return false
+
+  const expected = 'v0=' + createHmac('sha256', secret).update(`v0:${timestamp}:${rawBody}`).digest('hex')
+  const a = Buffer.from(expected)
+  const b = Buffer.from(String(signature))
+  return a.length === b.length && timingSafeEqual(a, b)
+}
+
+const isResponseUrl = (url) => typeof url === 'string' && url.startsWith(RESPONSE_URL_PREFIX)
+
+/**
+ * Copy of the message of an interaction with the block blockId replaced by
+ * a context line, in the message blocks or in its attachments
+ * @param {Object} message - payload.message of the interaction
+ * @param {string} blockId
+ * @param {string} text
+ * @returns {Object} { text, blocks, attachments }
+ */
+const replaceBlock = (message, blockId, text) => {
+  const replace = (blocks) => blocks && blocks.map(block => block.block_id === blockId ? context(text) : block)
+
+  const updated = { text: message.text }
+  if (message.blocks) updated.blocks = replace(message.blocks)
+  if (message.attachments) {
+    updated.attachments = message.attachments.map(att => att.blocks ? { ...att, blocks: replace(att.blocks) } : att)
+  }
+  return updated
+}
+
+module.exports = {
+  ACTION_IDS,
+  actionsBlock,
+  actionKind,
+  parseErrorKey,
+  parseInteraction,
+  verifySignature,
+  isResponseUrl,
+  replaceBlock
+}
@@ -0,0 +1,119 @@
+'use strict'
+
+const EVICTION_POLICIES = ['lru', 'fifo', 'lfu']
+
+/**
+ * Bounded in-memory store for batched error entries.
+ *
+ * Batch stores implement:
+ *   get(key) -> entry|undefined
+ *   set(key, entry)
+ *   values() -> Array<entry>
+ *   clear()
+ *   size -> number
+ *   evicted -> number, entries evicted since the last clear (optional)
+ */
+class BatchStore {
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.maxSize] - Max number of entries, defaults to 1000
+   * @param {string} [opts.eviction] - lru (least recently updated), fifo (first seen) or
+   *   lfu (lowest count), defaults to lru
+   */
+  constructor (opts = {}) {
+    this.maxSize = opts.maxSize || 1000
+    this.eviction = opts.eviction || 'lru'
+    this.evicted = 0
+    this._entries = new Map()
+
+    if (!EVICTION_POLICIES.includes(this.eviction)) {
+      throw new Error(`eviction must be one of ${EVICTION_POLICIES.join(', ')}`)
+    }
+  }
+
+  get size () {
+    return this._entries.size
+  }
+
+  get (key) {
+    const entry = this._entries.get(key)
+    if (entry !== undefined && this.eviction === 'lru') {
+      // callers update the entry after get, keep the map ordered by last update
+      this._entries.delete(key)
+      this._entries.set(key, entry)
+    }
+    return entry
+  }
+
+  set (key, entry) {
+    if (!this._entries.has(key) && this._entries.size >= this.maxSize) {
+      this._evict()
+    }
+    this._entries.set(key, entry)
+  }
+
+  values () {
+    return Array.from(this._entries.values())
+  }
+
+  clear () {
+    this._entries.clear()
+    this.evicted = 0
+  }
+
+  _evict () {
+    let victim = this._entries.keys().next().value
+
+    if (this.eviction === 'lfu') {
+      let lowest = Infinity
+      for (const [key, entry] of this._entries) {
+        const count = (entry && entry.count) || 0
+        if (count < lowest) {
+          lowest = count
+          victim = key
+        }
+      }
+    }
+
+    this._entries.delete(victim)
+    this.evicted++
+  }
+}
+
+/**
+ * Batch store backed by a bfx-facs-lru facility, entries expire with the
+ * facility maxAge and evictions are not counted
+ */
+class LruBatchStore {
+  constructor (lru) {
+    this.lru = lru
+    this.evicted = 0
+  }
+
+  get size () {
+    return this.lru.cache.length
+  }
+
+  get (key) {
+    return this.lru.get(key)
+  }
+
+  set (key, entry) {
+    this.lru.set(key, entry)
+  }
+
+  values () {
+    const cache = this.lru.cache
+    return cache.keys.map(key => cache.peek(key)).filter(entry => entry !== undefined)
+  }
+
+  clear () {
+    this.lru.clear()
+  }
+}
+
+module.exports = {
+  EVICTION_POLICIES,
+  BatchStore,
+  LruBatchStore
+}
@@ -0,0 +1,135 @@
+'use strict'
+
+// Slack Block Kit limits, see https://api.slack.com/reference/block-kit/blocks
+const MAX_BLOCKS = 50
+const MAX_HEADER_LENGTH = 150
+const MAX_TEXT_LENGTH = 3000
+const MAX_FIELDS = 10
+const MAX_FIELD_LENGTH = 2000
+const MAX_CONTEXT_ELEMENTS = 10
+
+const SEVERITY_COLORS = {
+  info: '#439FE0',
+  warn: '#DAA038',
+  error: '#D00000',
+  critical: '#8B0000'
+}
+
+const truncate = (text, max) => {
+  const str = String(text)
+  return str.length > max ? str.slice(0, max - 1) + '…' : str
+}
+
+const mrkdwn = (text, max = MAX_TEXT_LENGTH) => ({ type: 'mrkdwn', text: truncate(text, max) })
+
+const header = (text) => ({
+  type: 'header',
+  text: { type: 'plain_text', text: truncate(text, MAX_HEADER_LENGTH), emoji: true }
+})
+
+const section = (text, fields) => {
+  const block = { type: 'section' }
+  if (text) block.text = mrkdwn(text)
+  if (fields && fields.length) {
+    block.fields = fields.slice(0, MAX_FIELDS).map(field => mrkdwn(field, MAX_FIELD_LENGTH))
+  }
+  return block
+}
+
+const context = (elements) => ({
+  type: 'context',
+  elements: [].concat(elements).slice(0, MAX_CONTEXT_ELEMENTS).map(el => mrkdwn(el))
+})
+
+const divider = () => ({ type: 'divider' })
+
+const isStructuredMessage = (msg) => {
+  return msg !== null && typeof msg === 'object' && !(msg instanceof Error) &&
+    !!(msg.header || msg.sections || msg.fields || msg.context || msg.blocks)
+}
+
+/**
+ * Convert a structured message into Block Kit blocks
+ * @param {Object} msg
+ * @param {string} [msg.header] - Plain text title
+ * @param {Array<string|Object>} [msg.sections] - mrkdwn strings, { text, fields } objects or raw blocks
+ * @param {Array<string>} [msg.fields] - mrkdwn fields rendered in a two column section
+ * @param {Array<string>|string} [msg.context] - Small print shown at the bottom
+ * @param {Array<Object>} [msg.blocks] - Raw blocks appended as is
+ * @returns {Array<Object>}
+ */
+const buildBlocks = (msg) => {
+  const blocks = []
+
+  if (msg.header) blocks.push(header(msg.header))
+
+  for (const sec of msg.sections || []) {
+    if (sec === 'divider') {
+      blocks.push(divider())
+    } else if (typeof sec === 'string') {
+      blocks.push(section(sec))
+    } else if (sec.type) {
+      blocks.push(sec)
+    } else {
+      blocks.push(section(sec.text, sec.fields))
+    }
+  }
+
+  if (msg.fields && msg.fields.length) {
+    for (let i = 0; i < msg.fields.length; i += MAX_FIELDS) {
+      blocks.push(section(null, msg.fields.slice(i, i + MAX_FIELDS)))
+    }
+  }
+
+  if (msg.blocks) blocks.push(...msg.blocks)
+
+  if (msg.context && msg.context.length) blocks.push(context(msg.context))
+
+  return blocks.slice(0, MAX_BLOCKS)
+}
+
+/**
+ * Fallback text used for notifications and clients without Block Kit support
+ */
+const fallbackText = (msg) => {
+  if (msg.text) return msg.text
+  if (msg.header) return msg.header
+
+  const first = (msg.sections || []).find(sec => sec !== 'divider')
+  if (!first) return ''
+  return typeof first === 'string' ? first : first.text || ''
+}
+
+/**
+ * Serialize a structured message into a postSlackMsg payload entry
+ * @param {string} channel - Slack channel
+ * @param {Object} msg - Structured message, see buildBlocks
+ * @param {string} [msg.text] - Fallback text, defaults to the header
+ * @param {string} [msg.severity] - info, warn, error or critical; wraps the blocks in a color coded attachment
+ * @param {string} [msg.color] - Explicit attachment color, overrides severity
+ */
+const serializeMessage = (channel, msg) => {
+  const blocks = buildBlocks(msg)
+  const text = fallbackText(msg)
+  const color = msg.color || SEVERITY_COLORS[msg.severity]
+
+  if (color) {
+    return { channel, text, attachments: [{ color, blocks }] }
+  }
+
+  return { channel, text, blocks }
+}
+
+module.exports = {
+  MAX_BLOCKS,
+  MAX_TEXT_LENGTH,
+  SEVERITY_COLORS,
+  header,
+  section,
+  context,
+  divider,
+  buildBlocks,
+  isStructuredMessage,
+  serializeMessage,
+  truncate
+}
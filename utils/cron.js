@@ -0,0 +1,110 @@
+'use strict'
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'weekday', min: 0, max: 7 }
+]
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+}
+
+// give up looking for the next run after 5 years, e.g. for "0 0 31 2 *"
+const MAX_LOOKAHEAD = 5 * 366 * 24 * 60 * 60 * 1000
+
+const parseField = (expr, { name, min, max }) => {
+  const values = new Set()
+
+  for (const part of expr.split(',')) {
+    const match = part.match(/^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/)
+    if (!match) throw new Error(`invalid ${name} field "${expr}"`)
+
+    const [, from, to, step] = match
+    const start = from === undefined ? min : Number(from)
+    const end = from === undefined || (to === undefined && step) ? max : Number(to === undefined ? from : to)
+    const inc = step === undefined ? 1 : Number(step)
+
+    if (start < min || end > max || start > end || inc < 1) {
+      throw new Error(`invalid ${name} field "${expr}"`)
+    }
+
+    for (let value = start; value <= end; value += inc) values.add(value)
+  }
+
+  return values
+}
+
+/**
+ * Five field cron schedule (minute hour day month weekday) evaluated in UTC.
+ *
+ * Fields support *, lists (1,15), ranges (1-5) and steps on both (0-30/10),
+ * weekdays are 0-7 with 0 and 7 for sunday. As in cron a day matches either
+ * the day or the weekday field when both are restricted. The @hourly, @daily,
+ * @weekly and @monthly aliases are accepted.
+ */
+class CronSchedule {
+  constructor (expr) {
+    const fields = String(ALIASES[expr] || expr).trim().split(/\s+/)
+    if (fields.length !== FIELDS.length) {
+      throw new Error(`cron expression "${expr}" must have ${FIELDS.length} fields`)
+    }
+
+    this.expr = expr
+    const [minutes, hours, days, months, weekdays] = fields.map((field, idx) => parseField(field, FIELDS[idx]))
+    this.minutes = minutes
+    this.hours = hours
+    this.days = days
+    this.months = months
+    this.weekdays = weekdays
+    if (weekdays.has(7)) weekdays.add(0)
+
+    this._anyDay = fields[2] === '*'
+    this._anyWeekday = fields[4] === '*'
+  }
+
+  _matchesDay (date) {
+    const day = this.days.has(date.getUTCDate())
+    const weekday = this.weekdays.has(date.getUTCDay())
+
+    if (this._anyDay) return weekday
+    if (this._anyWeekday) return day
+    return day || weekday
+  }
+
+  /**
+   * @param {Date|number} from
+   * @returns {Date} First run strictly after from
+   */
+  next (from = Date.now()) {
+    const date = new Date(from)
+    date.setUTCSeconds(0, 0)
+    date.setUTCMinutes(date.getUTCMinutes() + 1)
+    const limit = date.getTime() + MAX_LOOKAHEAD
+
+    while (date.getTime() < limit) {
+      if (!this.months.has(date.getUTCMonth() + 1)) {
+        date.setUTCMonth(date.getUTCMonth() + 1, 1)
+        date.setUTCHours(0, 0, 0, 0)
+      } else if (!this._matchesDay(date)) {
+        date.setUTCDate(date.getUTCDate() + 1)
+        date.setUTCHours(0, 0, 0, 0)
+      } else if (!this.hours.has(date.getUTCHours())) {
+        date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0)
+      } else if (!this.minutes.has(date.getUTCMinutes())) {
+        date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0)
+      } else {
+        return date
+      }
+    }
+
+    throw new Error(`cron expression "${this.expr}" never matches`)
+  }
+}
+
+module.exports = CronSchedule
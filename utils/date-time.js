@@ -2,6 +2,22 @@
 
 const formatTime = (date) => date.toISOString().substring(11, 19)
 
+const formatDateTime = (date) => date.toISOString().substring(0, 16).replace('T', ' ')
+
+const formatDuration = (ms) => {
+  const totalSeconds = Math.round(ms / 1000)
+  if (totalSeconds < 60) return `${totalSeconds}s`
+
+  const totalMinutes = Math.round(totalSeconds / 60)
+  if (totalMinutes < 60) return `${totalMinutes}m`
+
+  const hours = Math.floor(totalMinutes / 60)
+  const minutes = totalMinutes % 60
+  return minutes ? `${hours}h ${minutes}m` : `${hours}h`
+}
+
 module.exports = {
-  formatTime
+  formatTime,
+  formatDateTime,
+  formatDuration
 }
@@ -0,0 +1,133 @@
+'use strict'
+
+const { BatchStore } = require('./batch-store')
+
+const formatTrend = (count, prevCount) => {
+  if (!prevCount) return 'new'
+
+  const change = Math.round((count - prevCount) / prevCount * 100)
+  if (change === 0) return 'no change'
+  return change > 0 ? `+${change}%` : `${change}%`
+}
+
+const emptyPeriod = () => ({ total: 0, sources: new Map(), errors: new Map() })
+
+/**
+ * Error counts of the current digest period and of the previous one, used
+ * for new vs recurring errors and trends. Entries are kept in a bounded
+ * store evicting the least frequent errors first.
+ */
+class Digest {
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.topN] - Errors listed per digest, defaults to 10
+   * @param {number} [opts.maxSize] - Max error types kept per period, defaults to 1000
+   * @param {string} [opts.channel] - Post all digests to this channel instead of the error channels
+   */
+  constructor (opts = {}) {
+    this.topN = opts.topN || 10
+    this.channel = opts.channel || null
+    this.store = new BatchStore({ maxSize: opts.maxSize, eviction: 'lfu' })
+    this.previous = new Map()
+  }
+
+  get size () {
+    return this.store.size
+  }
+
+  add (errorKey, { errorMessage, sourceName, reqChannel, at }) {
+    const entry = this.store.get(errorKey)
+
+    if (!entry) {
+      this.store.set(errorKey, { errorKey, errorMessage, sourceName, reqChannel, count: 1, firstSeen: at, lastSeen: at })
+      return
+    }
+
+    entry.count++
+    entry.lastSeen = at
+  }
+
+  /**
+   * Summarize the current period per channel and start a new one
+   * @param {Date} periodStart
+   * @param {Date} periodEnd
+   * @returns {Array<{ channel: string, vars: Object }>} Digest template vars per channel
+   */
+  rotate (periodStart, periodEnd) {
+    const channels = new Map()
+    for (const entry of this.store.values()) {
+      const channel = this.channel || entry.reqChannel
+      if (!channels.has(channel)) channels.set(channel, [])
+      channels.get(channel).push(entry)
+    }
+
+    const digests = []
+    const previous = new Map()
+
+    for (const [channel, entries] of channels) {
+      const prev = this.previous.get(channel) || emptyPeriod()
+      const current = emptyPeriod()
+      const sources = new Map()
+
+      for (const entry of entries) {
+        current.total += entry.count
+        current.errors.set(entry.errorKey, entry.count)
+        current.sources.set(entry.sourceName, (current.sources.get(entry.sourceName) || 0) + entry.count)
+
+        const source = sources.get(entry.sourceName) || { sourceName: entry.sourceName, count: 0, errorTypes: 0 }
+        source.count += entry.count
+        source.errorTypes++
+        sources.set(entry.sourceName, source)
+      }
+
+      entries.sort((a, b) => b.count - a.count)
+
+      const top = entries.slice(0, this.topN).map(entry => {
+        const previousCount = prev.errors.get(entry.errorKey) || 0
+        return {
+          ...entry,
+          previousCount,
+          isNew: !previousCount,
+          trend: formatTrend(entry.count, previousCount)
+        }
+      })
+
+      const bySource = Array.from(sources.values())
+        .sort((a, b) => b.count - a.count)
+        .map(source => {
+          const previousCount = prev.sources.get(source.sourceName) || 0
+          return { ...source, previousCount, trend: formatTrend(source.count, previousCount) }
+        })
+
+      digests.push({
+        channel,
+        vars: {
+          channel,
+          periodStart,
+          periodEnd,
+          totalErrors: current.total,
+          previousTotal: prev.total,
+          trend: formatTrend(current.total, prev.total),
+          errorTypes: entries.length,
+          newTypes: entries.filter(entry => !prev.errors.has(entry.errorKey)).length,
+          evicted: this.store.evicted,
+          top,
+          otherTypes: Math.max(0, entries.length - this.topN),
+          sources: bySource
+        }
+      })
+
+      previous.set(channel, current)
+    }
+
+    this.previous = previous
+    this.store.clear()
+
+    return digests
+  }
+}
+
+module.exports = {
+  Digest,
+  formatTrend
+}
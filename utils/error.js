@@ -0,0 +1,135 @@
+'use strict'
+
+const util = require('util')
+
+// frames of dependencies and node internals, hidden unless no app frame is left
+const LIBRARY_FRAME_RE = /node_modules[\\/]|\(node:|^at node:|\(internal\/|^at internal\/|<anonymous>/
+
+const DEFAULTS = {
+  stackFrames: 5,
+  trimFrames: true,
+  maxDepth: 5,
+  maxErrors: 10
+}
+
+// properties rendered on their own, everything else is shown with util.inspect
+const KNOWN_PROPS = ['name', 'message', 'stack', 'code', 'cause', 'errors']
+
+const resolveErrorFormatOpts = (conf = {}) => ({ ...DEFAULTS, ...conf })
+
+/**
+ * Top frames of a stack, without the frames of node_modules and node
+ * internals when trimFrames is set and at least one app frame is left
+ * @param {string} stack
+ * @param {Object} opts - { stackFrames, trimFrames }
+ * @returns {{ frames: Array<string>, omitted: number }}
+ */
+const appFrames = (stack, opts) => {
+  if (typeof stack !== 'string' || opts.stackFrames <= 0) return { frames: [], omitted: 0 }
+
+  const all = stack.split('\n').map(line => line.trim()).filter(line => line.startsWith('at '))
+  const app = opts.trimFrames ? all.filter(line => !LIBRARY_FRAME_RE.test(line)) : all
+  const frames = (app.length ? app : all).slice(0, opts.stackFrames)
+
+  return { frames, omitted: all.length - frames.length }
+}
+
+/**
+ * Plain object representation of an error, following cause chains and
+ * expanding AggregateError.errors
+ * @param {Error|any} err
+ * @param {Object} [opts] - See DEFAULTS
+ * @returns {Object} { name, message, code, frames, omittedFrames, props, cause, errors }
+ */
+const serializeError = (err, opts = DEFAULTS, depth = 0, seen = new Set()) => {
+  if (!(err instanceof Error)) {
+    return { value: typeof err === 'string' ? err : util.inspect(err, { depth: 3 }) }
+  }
+  if (seen.has(err)) return { circular: true }
+  seen.add(err)
+
+  const { frames, omitted } = appFrames(err.stack, opts)
+  const serialized = {
+    name: err.name || 'Error',
+    message: err.message,
+    code: err.code,
+    frames,
+    omittedFrames: omitted
+  }
+
+  const props = Object.keys(err).filter(key => !KNOWN_PROPS.includes(key))
+  if (props.length) {
+    serialized.props = props.reduce((acc, key) => {
+      acc[key] = err[key]
+      return acc
+    }, {})
+  }
+
+  if (err.cause !== undefined) {
+    serialized.cause = depth < opts.maxDepth
+      ? serializeError(err.cause, opts, depth + 1, seen)
+      : { truncated: true }
+  }
+
+  if (Array.isArray(err.errors)) {
+    serialized.errors = err.errors.slice(0, opts.maxErrors)
+      .map(child => serializeError(child, { ...opts, stackFrames: 0 }, depth + 1, seen))
+    serialized.omittedErrors = Math.max(0, err.errors.length - opts.maxErrors)
+  }
+
+  return serialized
+}
+
+const formatHeader = (serialized) => {
+  if (serialized.circular) return '[Circular]'
+  if (serialized.truncated) return '[...]'
+  if (serialized.value !== undefined) return serialized.value
+
+  const code = serialized.code ? ` [${serialized.code}]` : ''
+  return `${serialized.name}${code}: ${serialized.message}`
+}
+
+const formatFrames = ({ frames, omittedFrames }) => {
+  if (!frames || !frames.length) return []
+
+  const lines = [...frames]
+  if (omittedFrames) lines.push(`... ${omittedFrames} more frames`)
+  return ['```', ...lines, '```']
+}
+
+const formatSerialized = (serialized) => {
+  const lines = [formatHeader(serialized)]
+
+  if (serialized.props) lines.push(util.inspect(serialized.props, { depth: 10 }))
+  lines.push(...formatFrames(serialized))
+
+  if (serialized.errors) {
+    serialized.errors.forEach((child, idx) => {
+      const [first, ...rest] = formatSerialized(child).split('\n')
+      lines.push(`  [${idx + 1}] ${first}`, ...rest.map(line => `      ${line}`))
+    })
+    if (serialized.omittedErrors) lines.push(`  ... ${serialized.omittedErrors} more errors`)
+  }
+
+  if (serialized.cause) {
+    lines.push(`Caused by: ${formatSerialized(serialized.cause)}`)
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * Slack text of an error: name, code and message, extra properties, the top
+ * app frames in a code block, aggregated errors and the cause chain
+ * @param {Error|any} err
+ * @param {Object} [opts] - See DEFAULTS
+ * @returns {string}
+ */
+const formatError = (err, opts = DEFAULTS) => formatSerialized(serializeError(err, opts))
+
+module.exports = {
+  resolveErrorFormatOpts,
+  appFrames,
+  serializeError,
+  formatError
+}
@@ -0,0 +1,64 @@
+'use strict'
+
+const { createHash } = require('crypto')
+
+const NORMALIZERS = [
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [/'[^']*'|"[^"]*"|`[^`]*`/g, '<str>'],
+  [/\b0x[0-9a-f]+\b/gi, '<hex>'],
+  // long hex strings with at least one digit, e.g. object ids, hashes, tx ids
+  [/\b(?=[0-9a-f]*\d)[0-9a-f]{8,}\b/gi, '<hex>'],
+  [/\d+(\.\d+)?/g, '<n>']
+]
+
+/**
+ * Replace volatile parts of an error message (ids, quoted values, numbers)
+ * so that occurrences of the same error produce the same fingerprint
+ * @param {string} message
+ * @returns {string}
+ */
+const normalizeMessage = (message) => {
+  return NORMALIZERS.reduce((acc, [re, token]) => acc.replace(re, token), message)
+}
+
+/**
+ * Top stack frames without line and column numbers, which change between
+ * deploys, and without the frames of node internals
+ * @param {string} stack
+ * @param {number} count
+ * @returns {Array<string>}
+ */
+const topFrames = (stack, count) => {
+  if (typeof stack !== 'string' || count <= 0) return []
+
+  return stack.split('\n')
+    .map(line => line.trim())
+    .filter(line => line.startsWith('at ') && !line.includes('node:internal') && !line.includes('(internal/'))
+    .slice(0, count)
+    .map(line => line.replace(/:\d+:\d+(\)?)$/, '$1'))
+}
+
+/**
+ * Default fingerprint of an error
+ * @param {Error|any} err
+ * @param {Object} [opts]
+ * @param {boolean} [opts.normalize] - Normalize the message, defaults to true
+ * @param {boolean} [opts.code] - Include err.code, defaults to true
+ * @param {number} [opts.stackFrames] - Number of top stack frames to include, defaults to 0
+ * @returns {string} sha1 hex digest
+ */
+const fingerprint = (err, opts = {}) => {
+  const rawMsg = err?.message || err?.toString() || 'Unknown error'
+  const parts = [opts.normalize === false ? rawMsg : normalizeMessage(rawMsg)]
+
+  if (opts.code !== false && err?.code) parts.push(String(err.code))
+  parts.push(...topFrames(err?.stack, opts.stackFrames || 0))
+
+  return createHash('sha1').update(parts.join('\n')).digest('hex')
+}
+
+module.exports = {
+  normalizeMessage,
+  topFrames,
+  fingerprint
+}
@@ -0,0 +1,63 @@
+'use strict'
+
+const http = require('http')
+const https = require('https')
+const { URL } = require('url')
+
+/**
+ * POST a JSON body and resolve with the response status, headers and raw body
+ * @param {string} url
+ * @param {Object} body
+ * @param {Object} [opts]
+ * @param {Object} [opts.headers] - Extra request headers
+ * @param {number} [opts.timeout] - Request timeout in ms
+ */
+const postJson = (url, body, opts = {}) => {
+  const target = new URL(url)
+  const client = target.protocol === 'https:' ? https : http
+  const data = JSON.stringify(body)
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(data),
+        ...opts.headers
+      }
+    }, (res) => {
+      const chunks = []
+      res.on('data', (chunk) => chunks.push(chunk))
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() })
+      })
+      res.on('error', reject)
+    })
+
+    if (opts.timeout) {
+      req.setTimeout(opts.timeout, () => {
+        const err = new Error(`ERR_TIMEOUT: request to ${target.host} timed out`)
+        err.code = 'ETIMEDOUT'
+        req.destroy(err)
+      })
+    }
+
+    req.on('error', reject)
+    req.end(data)
+  })
+}
+
+/**
+ * Build an error for a failed slack HTTP call, flagging the ones worth retrying
+ */
+const httpError = (statusCode, message) => {
+  const err = new Error(message)
+  err.statusCode = statusCode
+  err.retryable = statusCode === 429 || statusCode >= 500
+  return err
+}
+
+module.exports = {
+  postJson,
+  httpError
+}
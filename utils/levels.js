@@ -0,0 +1,28 @@
+'use strict'
+
+const LEVELS = ['info', 'warn', 'error', 'critical']
+
+const isValidLevel = (level) => LEVELS.includes(level)
+
+/**
+ * Resolve the minimum level for the current env
+ * @param {string|Object} minLevel - Level name or a map of env to level name, with an optional 'default' key
+ * @param {string} env
+ * @returns {string|undefined}
+ */
+const resolveMinLevel = (minLevel, env) => {
+  if (!minLevel || typeof minLevel === 'string') return minLevel
+  return minLevel[env] || minLevel.default
+}
+
+const isLevelEnabled = (level, minLevel) => {
+  if (!minLevel) return true
+  return LEVELS.indexOf(level) >= LEVELS.indexOf(minLevel)
+}
+
+module.exports = {
+  LEVELS,
+  isValidLevel,
+  resolveMinLevel,
+  isLevelEnabled
+}
@@ -0,0 +1,146 @@
+'use strict'
+
+const COUNTERS = {
+  sent: 'Messages sent to slack',
+  failed: 'Messages that could not be sent after all retries',
+  retried: 'Retried send attempts',
+  truncated: 'Messages truncated to fit the max length',
+  batched: 'Errors added to the batch',
+  flushed: 'Batched errors reported on flush',
+  dropped: 'Undelivered messages dropped from the dead letter queue',
+  suppressed: 'Messages suppressed by rate limiting',
+  muted: 'Messages suppressed by mutes',
+  deduplicated: 'Repeated messages suppressed by dedup'
+}
+
+// latency buckets in ms
+const BUCKETS = [10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]
+
+const createHistogram = () => ({ count: 0, sum: 0, buckets: BUCKETS.map(() => 0) })
+
+const observe = (histogram, ms) => {
+  histogram.count++
+  histogram.sum += ms
+  BUCKETS.forEach((le, i) => {
+    if (ms <= le) histogram.buckets[i]++
+  })
+}
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+
+/**
+ * In-process counters and send latency histograms, in total and per channel and source
+ */
+class Metrics {
+  constructor () {
+    this.reset()
+  }
+
+  reset () {
+    this.totals = this._createCounters()
+    this.latency = createHistogram()
+    this.channels = new Map()
+    this.sources = new Map()
+  }
+
+  _createCounters () {
+    return Object.keys(COUNTERS).reduce((acc, name) => {
+      acc[name] = 0
+      return acc
+    }, {})
+  }
+
+  _scope (map, key) {
+    let scope = map.get(key)
+    if (!scope) {
+      scope = { counters: this._createCounters(), latency: createHistogram() }
+      map.set(key, scope)
+    }
+    return scope
+  }
+
+  _scopes ({ channel, sourceName } = {}) {
+    const scopes = []
+    if (channel) scopes.push(this._scope(this.channels, channel))
+    if (sourceName) scopes.push(this._scope(this.sources, sourceName))
+    return scopes
+  }
+
+  /**
+   * @param {string} name - One of COUNTERS
+   * @param {Object} [labels] - { channel, sourceName }
+   * @param {number} [n]
+   */
+  inc (name, labels, n = 1) {
+    this.totals[name] += n
+    for (const scope of this._scopes(labels)) scope.counters[name] += n
+  }
+
+  /**
+   * Record the duration of a send attempt
+   * @param {number} ms
+   * @param {Object} [labels] - { channel, sourceName }
+   */
+  observe (ms, labels) {
+    observe(this.latency, ms)
+    for (const scope of this._scopes(labels)) observe(scope.latency, ms)
+  }
+
+  toJSON () {
+    const toObject = (map) => Array.from(map.entries()).reduce((acc, [key, scope]) => {
+      acc[key] = { ...scope.counters, latency: { ...scope.latency, buckets: [...scope.latency.buckets] } }
+      return acc
+    }, {})
+
+    return {
+      ...this.totals,
+      latency: { ...this.latency, buckets: [...this.latency.buckets] },
+      latencyBuckets: BUCKETS,
+      channels: toObject(this.channels),
+      sources: toObject(this.sources)
+    }
+  }
+
+  /**
+   * Render the metrics in the Prometheus text exposition format. Totals, per
+   * channel and per source values are exported as separate metric families
+   * so that summing a family never double counts
+   * @param {string} [prefix]
+   */
+  toPrometheus (prefix = 'grc_slack') {
+    const lines = []
+    const families = [
+      [prefix, [['', { counters: this.totals, latency: this.latency }]]],
+      [`${prefix}_channel`, Array.from(this.channels.entries()).map(([key, scope]) => [`channel="${escapeLabel(key)}"`, scope])],
+      [`${prefix}_source`, Array.from(this.sources.entries()).map(([key, scope]) => [`source="${escapeLabel(key)}"`, scope])]
+    ]
+
+    for (const [family, series] of families) {
+      if (!series.length) continue
+
+      for (const [name, help] of Object.entries(COUNTERS)) {
+        const metric = `${family}_messages_${name}_total`
+        lines.push(`# HELP ${metric} ${help}`, `# TYPE ${metric} counter`)
+        for (const [label, scope] of series) {
+          lines.push(`${metric}${label ? `{${label}}` : ''} ${scope.counters[name]}`)
+        }
+      }
+
+      const metric = `${family}_send_duration_seconds`
+      lines.push(`# HELP ${metric} Duration of slack send attempts`, `# TYPE ${metric} histogram`)
+      for (const [label, { latency }] of series) {
+        const sep = label ? ',' : ''
+        BUCKETS.forEach((le, i) => {
+          lines.push(`${metric}_bucket{${label}${sep}le="${le / 1000}"} ${latency.buckets[i]}`)
+        })
+        lines.push(`${metric}_bucket{${label}${sep}le="+Inf"} ${latency.count}`)
+        lines.push(`${metric}_sum${label ? `{${label}}` : ''} ${latency.sum / 1000}`)
+        lines.push(`${metric}_count${label ? `{${label}}` : ''} ${latency.count}`)
+      }
+    }
+
+    return lines.join('\n') + '\n'
+  }
+}
+
+module.exports = Metrics
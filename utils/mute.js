@@ -0,0 +1,46 @@
+'use strict'
+
+/**
+ * Build a matcher for a mute pattern.
+ *
+ * The pattern is tested against the channel, the source name and the error
+ * fingerprint (the hash part of the error key) of a message:
+ *   - string: equal to any of them
+ *   - RegExp: matches any of them
+ *   - object: { channel, sourceName, fingerprint }, every given field must be equal
+ * @param {string|RegExp|Object} pattern
+ * @returns {Function} ({ channel, sourceName, fingerprint }) => boolean
+ */
+const createMuteMatcher = (pattern) => {
+  if (typeof pattern === 'string' && pattern) {
+    return (target) => [target.channel, target.sourceName, target.fingerprint].includes(pattern)
+  }
+
+  if (pattern instanceof RegExp) {
+    return (target) => [target.channel, target.sourceName, target.fingerprint]
+      .some(value => typeof value === 'string' && pattern.test(value))
+  }
+
+  if (pattern && typeof pattern === 'object') {
+    const fields = ['channel', 'sourceName', 'fingerprint'].filter(field => pattern[field] !== undefined)
+    if (fields.length) {
+      return (target) => fields.every(field => target[field] === pattern[field])
+    }
+  }
+
+  throw new Error('mute pattern must be a non empty string, a RegExp or an object with channel, sourceName or fingerprint')
+}
+
+const describeMutePattern = (pattern) => {
+  if (typeof pattern === 'string' || pattern instanceof RegExp) return String(pattern)
+
+  return Object.entries(pattern)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(', ')
+}
+
+module.exports = {
+  createMuteMatcher,
+  describeMutePattern
+}
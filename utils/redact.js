@@ -0,0 +1,165 @@
+'use strict'
+
+// matched against whole words of key names, see keyWords
+const DEFAULT_KEYS = [
+  'pass(word|wd|phrase)?',
+  'secret(_key)?',
+  'tokens?',
+  'api_?key',
+  'authorization',
+  'cookies?',
+  'private_?key',
+  'credentials?',
+  'session(_?id|_?token)?'
+]
+
+const DEFAULT_PATTERNS = {
+  email: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+  jwt: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g,
+  bearer: /\bBearer\s+[A-Za-z0-9._~+/-]+=*/gi,
+  slackToken: /\bxox[abposr]-[A-Za-z0-9-]+/g,
+  card: /\b(?:\d{15,19}|\d{4}(?:[ -]\d{4}){3}(?:[ -]\d{1,3})?|\d{4}[ -]\d{6}[ -]\d{5})\b/g
+}
+
+const MAX_DEPTH = 10
+
+// card numbers need 15 to 19 digits or card style groups (4-4-4-4, 4-6-5)
+// and a valid luhn check digit, 13 digit ms timestamps and ids never match
+const luhn = (digits) => {
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i])
+    if (i % 2 === 1) {
+      d *= 2
+      if (d > 9) d -= 9
+    }
+    sum += d
+  }
+  return sum % 10 === 0
+}
+
+const toRegExp = (pattern, global) => {
+  if (pattern instanceof RegExp) {
+    const flags = pattern.flags.replace('g', '')
+    return new RegExp(pattern.source, global ? flags + 'g' : flags)
+  }
+  return new RegExp(pattern, global ? 'gi' : 'i')
+}
+
+// key name in lower snake case: apiKey, XApiKey and x-api-key become
+// api_key, x_api_key and x_api_key
+const keyWords = (key) => String(key)
+  .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+  .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+  .replace(/[-.\s]+/g, '_')
+  .toLowerCase()
+
+// string key patterns match the trailing words of keys, e.g. token matches
+// accessToken but not tokenPair, RegExps are tested against the raw key
+const toKeyMatcher = (key) => key instanceof RegExp
+  ? { re: toRegExp(key, false), words: false }
+  : { re: new RegExp(`^(?:.*_)?(?:${key})$`, 'i'), words: true }
+
+const isPlainObject = (val) => {
+  const proto = Object.getPrototypeOf(val)
+  return proto === Object.prototype || proto === null
+}
+
+/**
+ * Create a redactor for secrets and PII
+ * @param {Object} [conf]
+ * @param {Array<string|RegExp>} [conf.keys] - Key name patterns whose values are fully replaced, strings
+ *   match the trailing words of the key name (case insensitive), RegExps the raw key name
+ * @param {Array<string|RegExp>} [conf.patterns] - Value patterns replaced inside strings (case insensitive when given as strings)
+ * @param {string} [conf.replacement] - Defaults to [REDACTED]
+ * @param {boolean} [conf.defaults] - Include the default keys and patterns, defaults to true
+ */
+const createRedactor = (conf = {}) => {
+  const useDefaults = conf.defaults !== false
+  const replacement = conf.replacement || '[REDACTED]'
+
+  const keys = (useDefaults ? DEFAULT_KEYS : []).concat(conf.keys || [])
+    .map(toKeyMatcher)
+  const patterns = (useDefaults ? Object.entries(DEFAULT_PATTERNS) : [])
+    .concat((conf.patterns || []).map((pattern, i) => [`custom${i}`, pattern]))
+    .map(([name, pattern]) => [name, toRegExp(pattern, true)])
+
+  const isSecretKey = (key) => keys.some(({ re, words }) => re.test(words ? keyWords(key) : key))
+
+  const redactString = (str) => {
+    let out = str
+    for (const [name, re] of patterns) {
+      out = out.replace(re, (match) => {
+        if (name === 'card' && !luhn(match.replace(/\D/g, ''))) return match
+        return replacement
+      })
+    }
+    return out
+  }
+
+  const redactError = (err, seen, depth) => {
+    // a real error keeps util.inspect printing the stack of the copy
+    const copy = new Error()
+    Object.setPrototypeOf(copy, Object.getPrototypeOf(err))
+    seen.set(err, copy)
+
+    for (const prop of ['name', 'message', 'stack']) {
+      if (typeof err[prop] === 'string') {
+        Object.defineProperty(copy, prop, {
+          value: redactString(err[prop]), writable: true, configurable: true, enumerable: false
+        })
+      }
+    }
+    for (const prop of ['cause', 'errors']) {
+      if (err[prop] !== undefined && !Object.prototype.propertyIsEnumerable.call(err, prop)) {
+        Object.defineProperty(copy, prop, {
+          value: walk(err[prop], seen, depth + 1), writable: true, configurable: true, enumerable: false
+        })
+      }
+    }
+    for (const key of Object.keys(err)) {
+      copy[key] = isSecretKey(key) ? replacement : walk(err[key], seen, depth + 1)
+    }
+
+    return copy
+  }
+
+  const walk = (value, seen, depth) => {
+    if (typeof value === 'string') return redactString(value)
+    if (!value || typeof value !== 'object') return value
+    if (seen.has(value)) return seen.get(value)
+    if (depth > MAX_DEPTH) return value
+
+    if (value instanceof Error) return redactError(value, seen, depth)
+
+    if (Array.isArray(value)) {
+      const copy = []
+      seen.set(value, copy)
+      for (const item of value) copy.push(walk(item, seen, depth + 1))
+      return copy
+    }
+
+    if (!isPlainObject(value)) return value
+
+    const copy = {}
+    seen.set(value, copy)
+    for (const key of Object.keys(value)) {
+      copy[key] = isSecretKey(key) ? replacement : walk(value[key], seen, depth + 1)
+    }
+    return copy
+  }
+
+  return {
+    /**
+     * Return a redacted copy of value, the input is never modified
+     */
+    redact: (value) => walk(value, new WeakMap(), 0),
+    redactString
+  }
+}
+
+module.exports = {
+  DEFAULT_KEYS,
+  DEFAULT_PATTERNS,
+  createRedactor
+}
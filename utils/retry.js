@@ -0,0 +1,91 @@
+'use strict'
+
+const DEFAULT_RETRYABLE_ERRORS = [
+  'ERR_TIMEOUT',
+  'ERR_GRAPE_LOOKUP',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'ratelimited',
+  'rate_limited'
+]
+
+const DEFAULT_RETRY_OPTS = {
+  attempts: 3,
+  minDelay: 500,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: 0.2,
+  retryableErrors: DEFAULT_RETRYABLE_ERRORS
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const resolveRetryOpts = (conf = {}) => {
+  return { ...DEFAULT_RETRY_OPTS, ...conf }
+}
+
+/**
+ * Delay before the next attempt, exponential in the attempt number and
+ * randomized by +/- jitter to avoid retrying in lockstep
+ * @param {number} attempt - Number of the attempt that just failed, starting at 1
+ * @param {Object} opts - Retry options
+ * @returns {number}
+ */
+const backoffDelay = (attempt, opts) => {
+  const base = Math.min(opts.maxDelay, opts.minDelay * Math.pow(opts.factor, attempt - 1))
+  const spread = base * opts.jitter
+  const delay = base - spread + Math.random() * spread * 2
+
+  return Math.max(0, Math.round(delay))
+}
+
+const isRetryableError = (err, retryableErrors = DEFAULT_RETRYABLE_ERRORS) => {
+  if (!err) return false
+  if (err.retryable === true) return true
+  if (err.retryable === false) return false
+
+  const haystack = `${err.code || ''} ${err.message || err}`
+
+  return retryableErrors.some((pattern) => {
+    if (pattern instanceof RegExp) return pattern.test(haystack)
+    return haystack.includes(pattern)
+  })
+}
+
+/**
+ * Run fn until it resolves, a non retryable error is thrown or attempts are exhausted
+ * @param {Function} fn - Called with the attempt number, must return a promise
+ * @param {Object} opts - Retry options, see DEFAULT_RETRY_OPTS
+ */
+const retry = async (fn, opts) => {
+  let attempt = 0
+
+  while (true) {
+    attempt++
+
+    try {
+      return await fn(attempt)
+    } catch (err) {
+      err.attempts = attempt
+
+      if (attempt >= opts.attempts || !isRetryableError(err, opts.retryableErrors)) {
+        throw err
+      }
+
+      await sleep(backoffDelay(attempt, opts))
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRYABLE_ERRORS,
+  resolveRetryOpts,
+  backoffDelay,
+  isRetryableError,
+  retry,
+  sleep
+}
@@ -0,0 +1,59 @@
+'use strict'
+
+const SAMPLING_STRATEGIES = ['first', 'last', 'reservoir']
+
+/**
+ * Add an occurrence to the payload samples of an error type, keeping at
+ * most size samples:
+ *   first - the first occurrences
+ *   last - the most recent occurrences
+ *   reservoir - a uniform random sample of all the occurrences
+ * @param {Array} samples - Updated in place
+ * @param {any} item
+ * @param {number} count - Occurrences seen, including this one
+ * @param {Object} opts - { size, strategy }
+ * @param {Function} [random]
+ * @returns {Array} samples
+ */
+const addSample = (samples, item, count, { size, strategy }, random = Math.random) => {
+  if (strategy === 'first') {
+    if (samples.length < size) samples.push(item)
+    return samples
+  }
+
+  if (strategy === 'reservoir' && samples.length >= size) {
+    const idx = Math.floor(random() * count)
+    if (idx < size) samples[idx] = item
+    return samples
+  }
+
+  samples.push(item)
+  if (samples.length > size) samples.splice(0, samples.length - size)
+  return samples
+}
+
+/**
+ * Combine the samples of the same error type from two batches, e.g. forwarded
+ * by another instance. Reservoir samples are merged into a random subset.
+ * @returns {Array} New samples
+ */
+const mergeSamples = (samples, other, { size, strategy }, random = Math.random) => {
+  const all = samples.concat(other)
+
+  if (strategy === 'first') return all.slice(0, size)
+  if (strategy !== 'reservoir' || all.length <= size) return all.slice(-size)
+
+  for (let i = all.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    const tmp = all[i]
+    all[i] = all[j]
+    all[j] = tmp
+  }
+  return all.slice(0, size)
+}
+
+module.exports = {
+  SAMPLING_STRATEGIES,
+  addSample,
+  mergeSamples
+}
@@ -0,0 +1,108 @@
+'use strict'
+
+const FENCE = '```'
+
+const countFences = (line) => line.split(FENCE).length - 1
+
+const hardSplit = (text, maxLength) => {
+  const chunks = []
+  for (let i = 0; i < text.length; i += maxLength) {
+    chunks.push(text.slice(i, i + maxLength))
+  }
+  return chunks
+}
+
+/**
+ * Greedily join lines with '\n' into chunks of at most maxLength,
+ * lines longer than maxLength are split hard
+ */
+const packLines = (lines, maxLength) => {
+  const chunks = []
+  let current = null
+
+  for (const line of lines) {
+    for (const piece of line.length > maxLength ? hardSplit(line, maxLength) : [line]) {
+      if (current !== null && current.length + 1 + piece.length <= maxLength) {
+        current += '\n' + piece
+        continue
+      }
+      if (current !== null) chunks.push(current)
+      current = piece
+    }
+  }
+
+  if (current !== null) chunks.push(current)
+  return chunks
+}
+
+/**
+ * Group lines into units that must stay together: single lines outside
+ * of code fences and whole fenced blocks
+ */
+const toUnits = (text) => {
+  const units = []
+  let fence = null
+
+  for (const line of text.split('\n')) {
+    const toggles = countFences(line) % 2 === 1
+
+    if (fence) {
+      fence.push(line)
+      if (toggles) {
+        units.push({ fenced: true, lines: fence })
+        fence = null
+      }
+    } else if (toggles) {
+      fence = [line]
+    } else {
+      units.push({ fenced: false, lines: [line] })
+    }
+  }
+
+  if (fence) units.push({ fenced: true, lines: fence })
+  return units
+}
+
+/**
+ * Split a fenced block that does not fit in one part, closing the fence at
+ * the end of each chunk and reopening it at the start of the next one
+ */
+const splitFenced = (lines, maxLength) => {
+  const wrapper = (FENCE + '\n').length * 2
+  const chunks = packLines(lines, Math.max(1, maxLength - wrapper))
+
+  return chunks.map((chunk, i) => {
+    const head = i > 0 ? FENCE + '\n' : ''
+    const tail = i < chunks.length - 1 ? '\n' + FENCE : ''
+    return head + chunk + tail
+  })
+}
+
+/**
+ * Split text into parts of at most maxLength characters, breaking on line
+ * boundaries and never leaving a code fence open across parts
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {Array<string>}
+ */
+const splitText = (text, maxLength) => {
+  if (text.length <= maxLength) return [text]
+
+  const blocks = []
+  for (const unit of toUnits(text)) {
+    const joined = unit.lines.join('\n')
+    if (joined.length <= maxLength) {
+      blocks.push(joined)
+    } else if (unit.fenced) {
+      blocks.push(...splitFenced(unit.lines, maxLength))
+    } else {
+      blocks.push(...hardSplit(joined, maxLength))
+    }
+  }
+
+  return packLines(blocks, maxLength)
+}
+
+module.exports = {
+  splitText
+}
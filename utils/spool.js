@@ -0,0 +1,68 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Append-only JSON lines file.
+ *
+ * All operations are synchronous on purpose: a record has to be on disk
+ * before the call returns to survive a crash, and rewrites must not
+ * interleave with appends.
+ */
+class Spool {
+  constructor (file) {
+    this.file = file
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+  }
+
+  /**
+   * Read all records, lines that cannot be parsed (a partial write at the
+   * time of a crash) are skipped
+   * @returns {{ records: Array<Object>, skipped: number }}
+   */
+  read () {
+    let data
+    try {
+      data = fs.readFileSync(this.file, 'utf8')
+    } catch (err) {
+      if (err.code === 'ENOENT') return { records: [], skipped: 0 }
+      throw err
+    }
+
+    const records = []
+    let skipped = 0
+    for (const line of data.split('\n')) {
+      if (!line) continue
+      try {
+        records.push(JSON.parse(line))
+      } catch (err) {
+        skipped++
+      }
+    }
+
+    return { records, skipped }
+  }
+
+  append (record) {
+    fs.appendFileSync(this.file, JSON.stringify(record) + '\n')
+  }
+
+  /**
+   * Atomically replace the content of the spool
+   * @param {Array<Object>} records
+   */
+  rewrite (records) {
+    const tmp = `${this.file}.tmp`
+    const fd = fs.openSync(tmp, 'w')
+    try {
+      fs.writeSync(fd, records.map(record => JSON.stringify(record) + '\n').join(''))
+      fs.fsyncSync(fd)
+    } finally {
+      fs.closeSync(fd)
+    }
+    fs.renameSync(tmp, this.file)
+  }
+}
+
+module.exports = Spool
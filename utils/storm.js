@@ -0,0 +1,103 @@
+'use strict'
+
+/**
+ * Detects alert storms on batched errors with fixed time windows per rule
+ * and source or error key.
+ *
+ * A rule matches errors by sourceName, fingerprint (the hash part of the
+ * error key) and/or a pattern on the error message. Occurrences are counted
+ * per source (rule.per 'source', the default without fingerprint and pattern)
+ * or per error key (rule.per 'error', the default otherwise). It triggers when:
+ *   - threshold: more than threshold occurrences in the current window, or
+ *   - rateFactor: the current window count reaches rateFactor times the count
+ *     of the previous window, and at least minCount
+ */
+class StormDetector {
+  /**
+   * @param {Array<Object>} rules
+   * @param {number} cooldown - Min ms between two escalations of the same rule and counter
+   */
+  constructor (rules, cooldown) {
+    this.rules = rules.map(rule => ({
+      ...rule,
+      per: rule.per || (rule.fingerprint || rule.pattern ? 'error' : 'source'),
+      pattern: rule.pattern ? new RegExp(rule.pattern) : null
+    }))
+    this.cooldown = cooldown
+    this._counters = new Map()
+  }
+
+  _matches (rule, errorKey, entry) {
+    if (rule.sourceName && rule.sourceName !== entry.sourceName) return false
+    if (rule.fingerprint && !errorKey.endsWith(`:${rule.fingerprint}`)) return false
+    if (rule.pattern && !rule.pattern.test(entry.errorMessage)) return false
+    return true
+  }
+
+  _counter (id, window, now) {
+    let counter = this._counters.get(id)
+    if (!counter) {
+      counter = { windowStart: now, count: 0, prevCount: 0, escalatedAt: -Infinity }
+      this._counters.set(id, counter)
+    }
+
+    const elapsed = now - counter.windowStart
+    if (elapsed >= window) {
+      // a gap of more than one window means the previous window was empty
+      counter.prevCount = elapsed < window * 2 ? counter.count : 0
+      counter.count = 0
+      counter.windowStart = now - (elapsed % window)
+    }
+
+    return counter
+  }
+
+  /**
+   * Record one occurrence of an error
+   * @param {string} errorKey
+   * @param {Object} entry - { sourceName, errorMessage }
+   * @param {number} [now]
+   * @returns {Array<Object>} Triggered escalations: { rule, count, prevCount, reason }
+   */
+  record (errorKey, entry, now = Date.now()) {
+    const triggered = []
+
+    this.rules.forEach((rule, idx) => {
+      if (!this._matches(rule, errorKey, entry)) return
+
+      const id = rule.per === 'source' ? `${idx}:${entry.sourceName}` : `${idx}:${errorKey}`
+      const counter = this._counter(id, rule.window, now)
+      counter.count++
+
+      let reason = null
+      if (rule.threshold && counter.count > rule.threshold) {
+        reason = 'threshold'
+      } else if (rule.rateFactor && counter.prevCount > 0 &&
+        counter.count >= (rule.minCount || 1) && counter.count >= counter.prevCount * rule.rateFactor) {
+        reason = 'rate'
+      }
+
+      if (!reason || now - counter.escalatedAt < this.cooldown) return
+
+      counter.escalatedAt = now
+      triggered.push({ rule, count: counter.count, prevCount: counter.prevCount, reason })
+    })
+
+    return triggered
+  }
+
+  /**
+   * Forget counters that are idle for more than two windows and out of cooldown
+   */
+  prune (now = Date.now()) {
+    for (const [id, counter] of this._counters) {
+      const rule = this.rules[id.slice(0, id.indexOf(':'))]
+      const idle = now - counter.windowStart >= rule.window * 2
+      if (idle && now - counter.escalatedAt >= this.cooldown) {
+        this._counters.delete(id)
+      }
+    }
+  }
+}
+
+module.exports = StormDetector
@@ -0,0 +1,224 @@
+'use strict'
+
+const { formatTime, formatDateTime, formatDuration } = require('./date-time')
+const { truncate } = require('./blocks')
+
+/**
+ * Minimal logic-less templates for slack messages.
+ *
+ *   {{name}}, {{error.code}}        variable, looked up in the enclosing scopes
+ *   {{helper arg "literal" 10}}     helper call, see HELPERS
+ *   {{#if cond}}..{{else}}..{{/if}} conditional, empty arrays are falsy
+ *   {{#unless cond}}..{{/unless}}
+ *   {{#each list}}..{{else}}..{{/each}}
+ *     loop, `this` is the current item, @index, @number (1 based), @first and @last
+ *     are available and outer variables stay visible
+ *
+ * Values are inserted as-is, objects as JSON.
+ */
+
+const HELPERS = {
+  json: (value) => JSON.stringify(value),
+  time: (value) => value === undefined || value === null ? '' : formatTime(new Date(value)),
+  date: (value) => value === undefined || value === null ? '' : formatDateTime(new Date(value)),
+  duration: (ms) => formatDuration(ms),
+  truncate: (value, max) => truncate(stringify(value), max),
+  upper: (value) => stringify(value).toUpperCase(),
+  lower: (value) => stringify(value).toLowerCase(),
+  default: (value, fallback) => value === undefined || value === null || value === '' ? fallback : value,
+  plural: (count, singular, plural) => count === 1 ? singular : (plural || `${singular}s`)
+}
+
+// built-in templates used by the facility, overridable with conf.templates
+const DEFAULT_TEMPLATES = {
+  batchedReport: [
+    '*Batched Error Report - {{sourceName}}*\n',
+    '*Summary:* {{totalErrors}} errors across {{errorTypes}} types',
+    '{{#if hostCount}} on {{hostCount}} {{plural hostCount "host"}}{{/if}} ({{timeRange}})\n',
+    '{{#if evicted}}_{{evictedNotice}}_\n{{/if}}',
+    '\n',
+    '{{#each errors}}',
+    '• *{{errorMessage}}* ({{count}}x)\n',
+    '{{#if stack}}```\n{{stack}}\n```\n{{/if}}',
+    '{{#if affectedHosts}}  Hosts: {{#each affectedHosts}}{{host}} ({{count}}x){{#unless @last}}, {{/unless}}{{/each}}\n{{/if}}',
+    '{{#if payloads}}  Payloads:\n{{/if}}',
+    '{{#each payloads}}',
+    '    - {{json payload}}\n',
+    '{{#if extras}}     Extras: {{json extras}}\n{{/if}}',
+    '{{/each}}',
+    '{{/each}}',
+    '{{#if truncatedTypes}}\n... message truncated ({{truncatedTypes}} more error types)',
+    '{{else}}{{#if truncatedDetails}}\n... message truncated ({{truncatedDetails}} omitted){{/if}}{{/if}}'
+  ].join(''),
+  digest: [
+    '*Error Digest - {{date periodStart}} to {{date periodEnd}} UTC*\n',
+    '*Summary:* {{totalErrors}} errors across {{errorTypes}} types, {{newTypes}} new ',
+    '({{#if previousTotal}}{{trend}} vs previous period{{else}}none in previous period{{/if}})\n',
+    '\n',
+    '*Top errors:*\n',
+    '{{#each top}}',
+    '{{@number}}. *{{errorMessage}}* - {{sourceName}}, {{count}}x ({{#if isNew}}new{{else}}{{trend}}{{/if}})\n',
+    '{{/each}}',
+    '{{#if otherTypes}}... {{otherTypes}} more error types\n{{/if}}',
+    '\n',
+    '*By source:*\n',
+    '{{#each sources}}',
+    '• {{sourceName}}: {{count}} errors across {{errorTypes}} types ({{trend}})\n',
+    '{{/each}}'
+  ].join('')
+}
+
+const BLOCKS = ['if', 'unless', 'each']
+const TAG_RE = /\{\{\s*([#/]?)\s*([\s\S]*?)\s*\}\}/g
+const ARG_RE = /"[^"]*"|'[^']*'|\S+/g
+
+const stringify = (value) => {
+  if (value === undefined || value === null) return ''
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+const parseArg = (token) => {
+  if (/^(["']).*\1$/.test(token)) return { literal: token.slice(1, -1) }
+  if (/^-?\d+(\.\d+)?$/.test(token)) return { literal: Number(token) }
+  if (token === 'true' || token === 'false') return { literal: token === 'true' }
+  if (token === 'null') return { literal: null }
+  return { path: token }
+}
+
+const parseExpr = (source) => {
+  const tokens = source.match(ARG_RE) || []
+  if (!tokens.length) throw new Error('empty tag')
+
+  if (tokens.length === 1) return { args: [parseArg(tokens[0])] }
+
+  const [helper, ...args] = tokens
+  if (!HELPERS[helper]) throw new Error(`unknown helper ${helper}`)
+  return { helper, args: args.map(parseArg) }
+}
+
+/**
+ * @param {string} source
+ * @returns {Array<Object>} Template nodes
+ */
+const compile = (source) => {
+  if (typeof source !== 'string') throw new Error('template must be a string')
+
+  const root = { nodes: [] }
+  const stack = [root]
+  let target = root.nodes
+  let last = 0
+  let match
+
+  TAG_RE.lastIndex = 0
+  while ((match = TAG_RE.exec(source)) !== null) {
+    if (match.index > last) target.push({ text: source.slice(last, match.index) })
+    last = TAG_RE.lastIndex
+
+    const [, kind, body] = match
+    const block = stack[stack.length - 1]
+
+    if (kind === '#') {
+      const [, name, rest = ''] = body.match(/^(\S+)\s*([\s\S]*)$/) || []
+      if (!BLOCKS.includes(name)) throw new Error(`unknown block #${name}`)
+      const node = { block: name, expr: parseExpr(rest), nodes: [], alt: [] }
+      target.push(node)
+      stack.push(node)
+      target = node.nodes
+    } else if (kind === '/') {
+      if (stack.length === 1 || block.block !== body) throw new Error(`unexpected {{/${body}}}`)
+      stack.pop()
+      const parent = stack[stack.length - 1]
+      target = parent === root ? root.nodes : (parent.inAlt ? parent.alt : parent.nodes)
+    } else if (body === 'else') {
+      if (stack.length === 1 || block.inAlt) throw new Error('unexpected {{else}}')
+      block.inAlt = true
+      target = block.alt
+    } else {
+      target.push({ expr: parseExpr(body) })
+    }
+  }
+
+  if (stack.length > 1) throw new Error(`unclosed {{#${stack[stack.length - 1].block}}}`)
+  if (last < source.length) root.nodes.push({ text: source.slice(last) })
+
+  return root.nodes
+}
+
+const lookup = (scopes, path) => {
+  const frame = scopes[scopes.length - 1]
+  if (path === 'this' || path === '.') return frame.value
+  if (path[0] === '@') return frame.data[path.slice(1)]
+
+  const [first, ...rest] = path.split('.')
+  let value
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i].value
+    if (first === 'this') {
+      value = scope
+      break
+    }
+    if (scope !== null && typeof scope === 'object' && first in scope) {
+      value = scope[first]
+      break
+    }
+  }
+
+  for (const key of rest) {
+    if (value === undefined || value === null) return undefined
+    value = value[key]
+  }
+  return value
+}
+
+const evaluate = (scopes, { helper, args }) => {
+  const values = args.map(arg => 'literal' in arg ? arg.literal : lookup(scopes, arg.path))
+  return helper ? HELPERS[helper](...values) : values[0]
+}
+
+const isTruthy = (value) => Array.isArray(value) ? value.length > 0 : !!value
+
+const renderNodes = (nodes, scopes) => {
+  let out = ''
+
+  for (const node of nodes) {
+    if (node.text !== undefined) {
+      out += node.text
+      continue
+    }
+
+    const value = evaluate(scopes, node.expr)
+
+    if (!node.block) {
+      out += stringify(value)
+    } else if (node.block === 'each') {
+      if (!Array.isArray(value) || !value.length) {
+        out += renderNodes(node.alt, scopes)
+        continue
+      }
+      value.forEach((item, index) => {
+        const data = { index, number: index + 1, first: index === 0, last: index === value.length - 1 }
+        out += renderNodes(node.nodes, [...scopes, { value: item, data }])
+      })
+    } else {
+      const pass = node.block === 'if' ? isTruthy(value) : !isTruthy(value)
+      out += renderNodes(pass ? node.nodes : node.alt, scopes)
+    }
+  }
+
+  return out
+}
+
+/**
+ * @param {Array<Object>} template - Compiled template
+ * @param {Object} vars
+ * @returns {string}
+ */
+const render = (template, vars = {}) => renderNodes(template, [{ value: vars, data: {} }])
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  HELPERS,
+  compile,
+  render
+}
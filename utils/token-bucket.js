@@ -0,0 +1,40 @@
+'use strict'
+
+class TokenBucket {
+  /**
+   * @param {number} rate - Tokens added per second
+   * @param {number} burst - Bucket capacity, the bucket starts full
+   */
+  constructor (rate, burst) {
+    this.rate = rate
+    this.burst = burst
+    this.tokens = burst
+    this.lastRefill = Date.now()
+  }
+
+  _refill () {
+    const now = Date.now()
+    const elapsed = (now - this.lastRefill) / 1000
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.rate)
+    this.lastRefill = now
+  }
+
+  tryTake () {
+    this._refill()
+    if (this.tokens < 1) return false
+
+    this.tokens -= 1
+    return true
+  }
+
+  /**
+   * Milliseconds until the next token is available
+   */
+  msUntilNext () {
+    this._refill()
+    if (this.tokens >= 1) return 0
+    return Math.ceil((1 - this.tokens) / this.rate * 1000)
+  }
+}
+
+module.exports = TokenBucket